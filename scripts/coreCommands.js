@@ -5,78 +5,59 @@ module.exports.register = function register(api) {
     ctx.proxy.sendLog("Proxy command executed successfully!");
   });
 
-  api.registerCommand("warp", "Warp to a world.", (ctx) => {
-    if (!ctx.args || ctx.args.length === 0) {
-      ctx.proxy.sendLog(`\`4Usage: \`\`${ctx.registry.prefix}warp <world name>`);
-      return;
-    }
-
-    const worldName = String(ctx.args[0] || "");
-    if (!worldName) {
-      ctx.proxy.sendLog(`\`4Usage: \`\`${ctx.registry.prefix}warp <world name>`);
-      return;
-    }
-
-    if (worldName.toLowerCase() === "exit") {
-      ctx.proxy.sendLog("\`4Oops: \`\`You cannot warp to the exit world.");
-      return;
-    }
-
-    if (worldName.length > 23) {
-      ctx.proxy.sendLog("\`4Error: \`\`World name cannot exceed 23 characters.");
-      return;
-    }
-
-    ctx.proxy.scheduler.cancelByTag("warp");
+  api.registerCommand("warp", {
+    description: "Warp to a world.",
+    singleInstance: "restart",
+    params: [{
+      name: "world",
+      maxLength: 23,
+      validate: (world) => (world.toLowerCase() === "exit" ? "You cannot warp to the exit world." : undefined)
+    }]
+  }, async (ctx) => {
+    const worldName = ctx.params.world;
     ctx.proxy.sendQuitToExit();
     ctx.proxy.sendLog(`Warping to ${worldName}...`);
 
-    ctx.proxy.scheduler.scheduleDelayed(() => {
-      if (!ctx.proxy.isServerConnected()) {
-        api.logger.warn("Server disconnected before warp completed.");
-        return;
-      }
-
-      ctx.proxy.sendJoinRequest(worldName, false);
-    }, 1750, "warp");
-  });
-
-  api.registerCommand("nick", "Change your display name.", (ctx) => {
-    if (!ctx.args || ctx.args.length === 0) {
-      ctx.proxy.sendLog(`\`4Usage: \`\`${ctx.registry.prefix}nick <nickname>`);
+    await ctx.sleep(1750);
+    if (!ctx.proxy.isServerConnected()) {
+      api.logger.warn("Server disconnected before warp completed.");
       return;
     }
 
-    const nickname = ctx.args.join(" ");
+    ctx.proxy.sendJoinRequest(worldName, false);
+  });
+
+  api.registerCommand("nick", {
+    description: "Change your display name.",
+    params: [{ name: "nickname", type: "rest" }]
+  }, (ctx) => {
+    const { nickname } = ctx.params;
     ctx.proxy.sendVariantToClient("OnNameChanged", [nickname], {
       netId: ctx.proxy.world.getLocalNetId()
     });
     ctx.proxy.sendLog(`Display name changed to ${nickname}`);
   });
 
-  api.registerCommand("skin", "Change your skin code.", (ctx) => {
-    if (!ctx.args || ctx.args.length === 0) {
-      ctx.proxy.sendLog(`\`4Usage: \`\`${ctx.registry.prefix}skin [hex] <code>`);
-      return;
-    }
-
-    let isHex = false;
-    let value = String(ctx.args[0] || "");
-    if (value.toLowerCase() === "hex" && ctx.args.length > 1) {
-      isHex = true;
-      value = String(ctx.args[1] || "");
-    }
-
-    const parsed = Number.parseInt(value, isHex ? 16 : 10);
-    if (!Number.isFinite(parsed) || Number.isNaN(parsed) || parsed < 0) {
-      ctx.proxy.sendLog(`\`4Oops: \`\`Invalid skin code: ${value}`);
+  api.registerCommand("skin", {
+    description: "Change your skin code.",
+    params: [
+      { name: "format", type: "enum", values: ["hex"], optional: true },
+      { name: "code", type: "string", description: "decimal (0x... for hex), or hex after \"hex\"" }
+    ]
+  }, (ctx) => {
+    const { format, code } = ctx.params;
+    const isHex = format === "hex" || /^0x/i.test(code);
+    const digits = isHex ? code.replace(/^0x/i, "") : code;
+    const parsed = Number.parseInt(digits, isHex ? 16 : 10);
+    if (!(isHex ? /^[0-9a-f]+$/i : /^\d+$/).test(digits) || parsed > 0xffffffff) {
+      ctx.proxy.sendLog(`\`4Oops: \`\`Invalid skin code: ${code}`);
       return;
     }
 
     ctx.proxy.sendVariantToClient("OnChangeSkin", [parsed], {
       netId: ctx.proxy.world.getLocalNetId()
     });
-    ctx.proxy.sendLog(`Skin changed to ${value}`);
+    ctx.proxy.sendLog(`Skin changed to ${code}`);
   });
 
   api.logger.info("coreCommands.js loaded");
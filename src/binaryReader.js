@@ -0,0 +1,77 @@
+"use strict";
+
+class BinaryReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.alloc(0);
+    this.offset = offset;
+  }
+
+  remaining() {
+    return Math.max(0, this.buffer.length - this.offset);
+  }
+
+  ensure(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new RangeError(
+        `Read of ${size} bytes at offset ${this.offset} exceeds buffer length ${this.buffer.length}`
+      );
+    }
+  }
+
+  skip(size) {
+    this.ensure(size);
+    this.offset += size;
+  }
+
+  u8() {
+    this.ensure(1);
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  i32() {
+    this.ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f32() {
+    this.ensure(4);
+    const value = this.buffer.readFloatLE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  bytes(size) {
+    this.ensure(size);
+    const value = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return value;
+  }
+
+  // Growtopia strings are a u16 length followed by raw bytes (no terminator).
+  string16(encoding = "utf8") {
+    const length = this.u16();
+    return this.bytes(length).toString(encoding);
+  }
+}
+
+module.exports = {
+  BinaryReader
+};
@@ -1,29 +1,390 @@
 "use strict";
 
-function registerBuiltinCommands(registry, proxy) {
-  registry.register("proxyhelp", "List all commands or show command usage.", (ctx) => {
-    if (!ctx.args || ctx.args.length === 0) {
-      const commands = ctx.registry.getAll();
-      proxy.sendLog(`Available commands: ${commands.length}`);
-      for (const [name, description] of commands) {
-        proxy.sendLog(`\`\`${ctx.registry.prefix}${name}: ${description}`);
-      }
+const { CommandArgsError, splitArgs } = require("./commandArgs");
+const {
+  MACRO_DEPTH_LIMIT,
+  getMacroSteps,
+  countMacroParams,
+  expandStep,
+  stopMacros,
+  runMacro
+} = require("./macros");
+const { TaskCanceledError } = require("./taskScheduler");
+
+// Lines per /proxyhelp page, about what the client console shows at once.
+const HELP_PAGE_LINES = 14;
+
+function addHelpLines(registry, cmd, header, lines) {
+  const aliases = cmd.aliases.length > 0 ? ` (${cmd.aliases.join(", ")})` : "";
+  const description = cmd.description ? `: ${cmd.description}` : "";
+  lines.push({ header, text: `\`\`${registry.prefix}${cmd.name}${aliases}${description}` });
+  for (const sub of cmd.subcommands.values()) {
+    addHelpLines(registry, sub, header, lines);
+  }
+}
+
+function sendHelpPage(ctx, page) {
+  const { registry } = ctx;
+  const lines = [];
+  for (const [owner, group] of registry.getGroups()) {
+    const header = `\`5${owner || "core"}:`;
+    lines.push({ header: null, text: header });
+    for (const cmd of group) {
+      addHelpLines(registry, cmd, header, lines);
+    }
+  }
+
+  const pageCount = Math.max(1, Math.ceil(lines.length / HELP_PAGE_LINES));
+  if (page > pageCount) {
+    ctx.proxy.sendLog(`\`4Error: \`\`There ${pageCount === 1 ? "is 1 page" : `are ${pageCount} pages`}.`);
+    return;
+  }
+
+  const pageLines = lines.slice((page - 1) * HELP_PAGE_LINES, page * HELP_PAGE_LINES);
+  const paging = pageCount > 1 ? ` (page ${page}/${pageCount})` : "";
+  ctx.proxy.sendLog(`Available commands: ${registry.getAll().length}${paging}`);
+  // A page that starts inside a group repeats the group's heading.
+  if (pageLines[0].header) {
+    ctx.proxy.sendLog(pageLines[0].header);
+  }
+  for (const line of pageLines) {
+    ctx.proxy.sendLog(line.text);
+  }
+  if (page < pageCount) {
+    ctx.proxy.sendLog(`\`5More: \`\`${registry.prefix}proxyhelp ${page + 1}`);
+  }
+}
+
+function sendCommandHelp(ctx, typed) {
+  const { registry } = ctx;
+  const target = (typed.startsWith(registry.prefix) ? typed.slice(registry.prefix.length) : typed)
+    .trim().toLowerCase().replace(/\s+/g, " ");
+  const command = registry.get(target);
+  if (!command) {
+    const suggestions = registry.suggest(target).map((name) => `${registry.prefix}${name}`);
+    ctx.proxy.sendLog(`\`4Error: \`\`Command '${target}' not found.${
+      suggestions.length > 0 ? ` Did you mean ${suggestions.join(", ")}?` : ""}`);
+    return;
+  }
+
+  ctx.proxy.sendLog(`\`\`${registry.prefix}${command.name}: ${command.description}`);
+  if (command.aliases.length > 0) {
+    ctx.proxy.sendLog(`\`5Aliases: \`\`${command.aliases.join(", ")}`);
+  }
+
+  const usage = registry.getUsage(command.name);
+  if (usage) {
+    ctx.proxy.sendLog(`\`5Usage: \`\`${usage}`);
+  }
+
+  const entries = command.schema ? [...command.schema.params, ...command.schema.flags] : [];
+  for (const entry of entries) {
+    if (entry.description) {
+      const label = command.schema.flags.includes(entry) ? `--${entry.name}` : entry.name;
+      ctx.proxy.sendLog(`\`\`  ${label}: ${entry.description}`);
+    }
+  }
+
+  for (const sub of command.subcommands.values()) {
+    ctx.proxy.sendLog(`\`\`  ${sub.key}: ${sub.description}`);
+  }
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.round(ms)}ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  const minutes = Math.floor(ms / 60000);
+  return minutes < 60 ? `${minutes}m ${Math.floor((ms % 60000) / 1000)}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function describeTask(task) {
+  const schedule = task.kind === "interval" ? `every ${formatDuration(task.intervalMs)}`
+    : task.kind === "cron" ? `cron "${task.cron}"` : task.kind;
+  const state = task.paused ? "`4paused``"
+    : task.nextRunAt === null ? "running" : `next in ${formatDuration(Math.max(0, task.nextRunAt - Date.now()))}`;
+  const details = [task.owner || "core", task.scope ? `${task.scope} scope` : "", `${task.runs} run${task.runs === 1 ? "" : "s"}`].filter(Boolean);
+  return `\`5#${task.id}\`\` ${task.tag || "(untagged)"}: ${schedule}, ${state} (${details.join(", ")})`;
+}
+
+// "#3" or "3" picks one task by id, anything else every task with that tag.
+function findTaskIds(scheduler, target) {
+  const idMatch = target.match(/^#?(\d+)$/);
+  return scheduler.list()
+    .filter((task) => (idMatch ? task.id === Number(idMatch[1]) : task.tag === target))
+    .map((task) => task.id);
+}
+
+function registerTaskCommand(registry, action, done, description, apply) {
+  registry.register(`tasks ${action}`, {
+    description,
+    params: [{ name: "task", description: "task id (#3) or tag" }]
+  }, (ctx) => {
+    const ids = findTaskIds(ctx.proxy.scheduler, ctx.params.task).filter((id) => apply(ctx.proxy.scheduler, id));
+    if (ids.length === 0) {
+      ctx.proxy.sendLog(`\`4Oops: \`\`No task '${ctx.params.task}' to ${action}.`);
+      return;
+    }
+
+    ctx.proxy.sendLog(`${done} \`2${ids.map((id) => `#${id}`).join(", ")}`);
+  });
+}
+
+// Checks nesting and arguments and fills in placeholders; returns null after replying when the
+// macro cannot run. `name` is empty for an inline "/macro do" chain, which takes no placeholders.
+function expandMacro(ctx, name, steps, argText) {
+  if ((ctx.macroDepth ?? 0) >= MACRO_DEPTH_LIMIT) {
+    ctx.proxy.sendLog(`\`4Error: \`\`Macros nested more than ${MACRO_DEPTH_LIMIT} deep.`);
+    return null;
+  }
+
+  if (!name) {
+    return steps;
+  }
+
+  let args;
+  try {
+    args = splitArgs(argText);
+  } catch (error) {
+    if (!(error instanceof CommandArgsError)) {
+      throw error;
+    }
+    ctx.proxy.sendLog(`\`4Error: \`\`${error.message}`);
+    return null;
+  }
+
+  const needed = countMacroParams(steps);
+  if (args.length < needed) {
+    ctx.proxy.sendLog(`\`4Error: \`\`Macro '${name}' needs ${needed} argument${needed === 1 ? "" : "s"}.`);
+    return null;
+  }
+  return steps.map((step) => expandStep(step, args));
+}
+
+// The command stays running until the macro ends, so /cancel stops it and a macro step that
+// runs another macro waits for it. A macro that did not finish ends the command as canceled,
+// which stops an outer macro too.
+async function startMacro(ctx, name, steps, argText) {
+  const expanded = expandMacro(ctx, name, steps, argText);
+  if (expanded) {
+    ctx.proxy.sendLog(`Running macro \`2${name || "chain"}\`\` (${expanded.length} step${expanded.length === 1 ? "" : "s"})`);
+  }
+
+  const finished = expanded !== null
+    && await runMacro(ctx.proxy, ctx.registry, expanded, {
+      name,
+      depth: ctx.macroDepth ?? 0,
+      signal: ctx.signal,
+      parent: ctx.macroRun ?? null
+    });
+  if (!finished) {
+    throw new TaskCanceledError(`Macro ${name || "chain"} did not finish`);
+  }
+}
+
+function registerBuiltinCommands(registry) {
+  registry.register("proxyhelp", {
+    description: "List all commands or show command usage.",
+    params: [{ name: "command", type: "rest", optional: true, description: "command name, or a page number" }]
+  }, (ctx) => {
+    const typed = ctx.params.command || "1";
+    if (/^\d+$/.test(typed)) {
+      sendHelpPage(ctx, Math.max(1, Number(typed)));
+      return;
+    }
+
+    sendCommandHelp(ctx, typed);
+  });
+
+  registry.register("record", {
+    description: "Show capture recording status.",
+    params: []
+  }, (ctx) => {
+    ctx.proxy.sendLog(ctx.proxy.recorder.isRecording()
+      ? `Recording to \`2${ctx.proxy.recorder.filePath}\`\` (${ctx.proxy.recorder.packetCount} packets)`
+      : "Not recording.");
+  });
+
+  registry.register("record start", {
+    description: "Start a capture file.",
+    params: [{ name: "file", optional: true, description: "capture file name" }]
+  }, (ctx) => {
+    const filePath = ctx.proxy.startRecording(ctx.params.file || "");
+    ctx.proxy.sendLog(`Recording to \`2${filePath}`);
+  });
+
+  registry.register("record stop", { description: "Close the capture file.", params: [] }, (ctx) => {
+    if (!ctx.proxy.recorder.isRecording()) {
+      ctx.proxy.sendLog("`4Oops: ``Not recording.");
+      return;
+    }
+
+    const filePath = ctx.proxy.recorder.stop();
+    ctx.proxy.sendLog(`Recording saved to \`2${filePath}`);
+  });
+
+  registry.register("reload", {
+    description: "Reload one script or all scripts.",
+    params: [{ name: "script", optional: true, description: "script name; all scripts when left out" }]
+  }, (ctx) => {
+    if (!ctx.proxy.scriptManager.config.enabled) {
+      ctx.proxy.sendLog("`4Oops: ``Scripts are disabled by config.");
+      return;
+    }
+
+    const target = ctx.params.script || "";
+    let reloaded;
+    try {
+      reloaded = ctx.proxy.scriptManager.reload(target);
+    } catch (error) {
+      ctx.proxy.sendLog(`\`4Error: \`\`${error.message}`);
+      return;
+    }
+
+    if (reloaded.length === 0) {
+      ctx.proxy.sendLog("`4Oops: ``No scripts reloaded, check the proxy log.");
+      return;
+    }
+
+    ctx.proxy.sendLog(`Reloaded \`2${reloaded.join(", ")}`);
+  });
+
+  registry.register("scripts", {
+    description: "List loaded and disabled scripts.",
+    params: []
+  }, (ctx) => {
+    const scripts = ctx.proxy.scriptManager;
+    for (const file of scripts.getLoadedScripts()) {
+      const record = scripts.getScript(file);
+      ctx.proxy.sendLog(`\`2${file}\`\` (${record.commands.size} commands, ${record.errors} errors)`);
+    }
+    for (const file of scripts.getDisabledScripts()) {
+      ctx.proxy.sendLog(`\`4${file}\`\` (disabled)`);
+    }
+  });
+
+  registry.register("scripts enable", {
+    description: "Load a disabled script for this run.",
+    params: [{ name: "script" }]
+  }, (ctx) => {
+    const scripts = ctx.proxy.scriptManager;
+    const target = ctx.params.script;
+    try {
+      ctx.proxy.sendLog(scripts.enableScript(target)
+        ? `Enabled \`2${scripts.resolveScriptFile(target)}`
+        : "`4Oops: ``Script failed to load, check the proxy log.");
+    } catch (error) {
+      ctx.proxy.sendLog(`\`4Error: \`\`${error.message}`);
+    }
+  });
+
+  registry.register("scripts disable", {
+    description: "Unload a script for this run.",
+    params: [{ name: "script" }]
+  }, (ctx) => {
+    const scripts = ctx.proxy.scriptManager;
+    const target = ctx.params.script;
+    if (!scripts.disableScript(target, "by command")) {
+      ctx.proxy.sendLog(`\`4Oops: \`\`Script '${target}' is not loaded.`);
+      return;
+    }
+
+    ctx.proxy.sendLog(`Disabled \`4${scripts.resolveScriptFile(target)}`);
+  });
+
+  registry.register("cancel", {
+    description: "Stop running commands.",
+    params: [{ name: "command", type: "rest", optional: true, description: "only this command; all when left out" }]
+  }, (ctx) => {
+    const typed = ctx.params.command || "";
+    const target = typed.startsWith(ctx.registry.prefix) ? typed.slice(ctx.registry.prefix.length) : typed;
+    const command = target ? ctx.registry.get(target) : null;
+    if (target && !command) {
+      ctx.proxy.sendLog(`\`4Error: \`\`Command '${target}' not found`);
       return;
     }
 
-    const target = String(ctx.args[0]).toLowerCase();
-    const command = ctx.registry.get(target);
-    if (!command) {
-      proxy.sendLog(`\`4Error: \`\`Command '${target}' not found`);
+    const canceled = ctx.registry.cancelRunning(ctx.proxy, command);
+    if (canceled.length === 0) {
+      ctx.proxy.sendLog("`4Oops: ``Nothing to cancel.");
       return;
     }
 
-    proxy.sendLog(`\`\`${ctx.registry.prefix}${target}: ${command.description}`);
+    ctx.proxy.sendLog(`Canceled \`2${canceled.map((name) => `${ctx.registry.prefix}${name}`).join(", ")}`);
   });
 
-  registry.register("exit", "Stop proxy process.", () => {
-    proxy.sendLog("Stopping proxy...");
-    proxy.stop();
+  registry.register("macro", { description: "List configured macros.", params: [] }, (ctx) => {
+    const macros = Object.entries(ctx.proxy.config.macros);
+    if (macros.length === 0) {
+      ctx.proxy.sendLog("`4Oops: ``No macros configured (config.macros).");
+      return;
+    }
+
+    for (const [name, definition] of macros) {
+      ctx.proxy.sendLog(`\`2${name}\`\`: ${getMacroSteps(definition).join("; ")}`);
+    }
+  });
+
+  registry.register("macro run", {
+    description: "Run a configured macro.",
+    params: [
+      { name: "name" },
+      { name: "args", type: "rest", optional: true, description: "values for $1, $2, ... and $*" }
+    ]
+  }, (ctx) => {
+    const name = ctx.params.name.toLowerCase();
+    const definition = ctx.proxy.config.macros[name];
+    if (definition === undefined) {
+      ctx.proxy.sendLog(`\`4Error: \`\`Macro '${name}' not found`);
+      return;
+    }
+
+    return startMacro(ctx, name, getMacroSteps(definition), ctx.params.args || "");
+  });
+
+  registry.register("macro do", {
+    description: "Run a ;-separated chain of commands and waits.",
+    params: [{ name: "steps", type: "rest" }]
+  }, (ctx) => {
+    return startMacro(ctx, "", getMacroSteps(ctx.params.steps), "");
+  });
+
+  registry.register("macro stop", {
+    description: "Stop running macros.",
+    params: [{ name: "name", optional: true, description: "only this macro; all when left out" }]
+  }, (ctx) => {
+    const stopped = [...new Set(stopMacros(ctx.proxy, ctx.params.name ? ctx.params.name.toLowerCase() : null))];
+    if (stopped.length === 0) {
+      ctx.proxy.sendLog("`4Oops: ``No macro is running.");
+      return;
+    }
+
+    ctx.proxy.sendLog(`Stopped \`2${stopped.map((name) => name || "chain").join(", ")}`);
+  });
+
+  registry.register("tasks", { description: "List this client's scheduled tasks.", params: [] }, (ctx) => {
+    const tasks = ctx.proxy.scheduler.list();
+    if (tasks.length === 0) {
+      ctx.proxy.sendLog("No scheduled tasks.");
+      return;
+    }
+
+    for (const task of tasks) {
+      ctx.proxy.sendLog(describeTask(task));
+    }
+  });
+
+  registerTaskCommand(registry, "cancel", "Canceled", "Cancel scheduled tasks.", (scheduler, id) => scheduler.cancel(id));
+  registerTaskCommand(registry, "pause", "Paused", "Pause scheduled tasks.", (scheduler, id) => scheduler.pause(id));
+  registerTaskCommand(registry, "resume", "Resumed", "Resume paused tasks.", (scheduler, id) => scheduler.resume(id));
+
+  registry.register("exit", "Stop proxy process.", (ctx) => {
+    ctx.proxy.sendLog("Stopping proxy...");
+    ctx.proxy.stop();
     setTimeout(() => process.exit(0), 100);
   });
 }
@@ -0,0 +1,170 @@
+"use strict";
+
+const { TextParse } = require("./textParse");
+const {
+  NET_MESSAGE,
+  GAME_PACKET,
+  buildTextPacket,
+  buildTankPacket
+} = require("./packet");
+
+const FIST_ITEM_ID = 18;
+const WRENCH_ITEM_ID = 32;
+const TILE_SIZE = 32;
+
+// User text goes into `key|value` lines; a newline would let it inject extra keys.
+function sanitizeText(value) {
+  return String(value ?? "").replace(/[\r\n]/g, " ");
+}
+
+// Client tank packets end with one 0 byte past the data. ensureNullTerminator() would skip it
+// whenever the header or data already ends in 0, which parsePacket() then strips as padding.
+function terminateTank(tank) {
+  return Buffer.concat([tank, Buffer.from([0])]);
+}
+
+// Client tile actions carry the player's pixel position next to the target tile. Without a
+// known position, use the tile itself.
+function resolvePosition(x, y, options) {
+  return {
+    posX: Number(options.posX ?? x * TILE_SIZE),
+    posY: Number(options.posY ?? y * TILE_SIZE)
+  };
+}
+
+function buildJoinRequestPacket(worldName, invitedWorld = false) {
+  const parser = new TextParse();
+  parser.add("action", "join_request");
+  parser.add("name", sanitizeText(worldName));
+  parser.add("invitedWorld", invitedWorld ? "1" : "0");
+  return buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw());
+}
+
+function buildQuitToExitPacket() {
+  const parser = new TextParse();
+  parser.add("action", "quit_to_exit");
+  return buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw());
+}
+
+function buildChatPacket(text) {
+  return buildTextPacket(NET_MESSAGE.GENERIC_TEXT, `action|input\n|text|${sanitizeText(text)}`);
+}
+
+// `fields` is an object or [key, value] list of the dialog's inputs, e.g. { buttonClicked: "ok" }.
+function buildDialogReturnPacket(dialogName, fields = {}) {
+  const parser = new TextParse();
+  parser.add("action", "dialog_return");
+  parser.add("dialog_name", sanitizeText(dialogName));
+  const entries = Array.isArray(fields) ? fields : Object.entries(fields);
+  for (const [key, value] of entries) {
+    parser.add(sanitizeText(key), sanitizeText(value));
+  }
+
+  return buildTextPacket(NET_MESSAGE.GENERIC_TEXT, `${parser.getRaw()}\n`);
+}
+
+// Drop and trash answer the count dialog directly; the game writes the item id as "itemID|<id>|".
+function buildDropItemPacket(itemId, count) {
+  return buildDialogReturnPacket("drop_item", [["itemID", `${Number(itemId)}|`], ["count", Number(count)]]);
+}
+
+function buildTrashItemPacket(itemId, count) {
+  return buildDialogReturnPacket("trash_item", [["itemID", `${Number(itemId)}|`], ["count", Number(count)]]);
+}
+
+function buildWrenchPlayerPacket(netId) {
+  return buildTextPacket(NET_MESSAGE.GENERIC_TEXT, `action|wrench\n|netid|${Number(netId)}`);
+}
+
+function buildRespawnPacket(spike = false) {
+  return buildTextPacket(NET_MESSAGE.GENERIC_TEXT, `action|${spike ? "respawn_spike" : "respawn"}`);
+}
+
+function buildTileChangePacket(x, y, itemId, options = {}) {
+  return terminateTank(buildTankPacket({
+    packetType: GAME_PACKET.TILE_CHANGE_REQUEST,
+    netId: Number(options.netId ?? -1),
+    state: Number(options.state ?? 0),
+    info: Number(itemId),
+    intX: Number(x),
+    intY: Number(y),
+    ...resolvePosition(x, y, options)
+  }));
+}
+
+function buildPunchPacket(x, y, options = {}) {
+  return buildTileChangePacket(x, y, FIST_ITEM_ID, options);
+}
+
+function buildPlacePacket(x, y, itemId, options = {}) {
+  return buildTileChangePacket(x, y, itemId, options);
+}
+
+function buildWrenchTilePacket(x, y, options = {}) {
+  return buildTileChangePacket(x, y, WRENCH_ITEM_ID, options);
+}
+
+function buildDoorEnterPacket(x, y, options = {}) {
+  return terminateTank(buildTankPacket({
+    packetType: GAME_PACKET.TILE_ACTIVATE_REQUEST,
+    netId: Number(options.netId ?? -1),
+    state: 0,
+    intX: Number(x),
+    intY: Number(y),
+    ...resolvePosition(x, y, options)
+  }));
+}
+
+// Wearing and unwearing are the same request; the server toggles the item.
+function buildWearItemPacket(itemId, options = {}) {
+  return terminateTank(buildTankPacket({
+    packetType: GAME_PACKET.ITEM_ACTIVATE_REQUEST,
+    netId: Number(options.netId ?? -1),
+    state: 0,
+    info: Number(itemId)
+  }));
+}
+
+// Movement update. `state` takes TANK_FLAG bits (FACING_LEFT, ON_SOLID, ON_JUMP, ...);
+// punchX/punchY stay -1 unless the update carries a punch.
+function buildStatePacket({
+  netId = -1,
+  posX = 0,
+  posY = 0,
+  speedX = 0,
+  speedY = 0,
+  state = 0,
+  punchX = -1,
+  punchY = -1
+} = {}) {
+  return terminateTank(buildTankPacket({
+    packetType: GAME_PACKET.STATE,
+    netId: Number(netId),
+    state: Number(state),
+    posX: Number(posX),
+    posY: Number(posY),
+    speedX: Number(speedX),
+    speedY: Number(speedY),
+    intX: Number(punchX),
+    intY: Number(punchY)
+  }));
+}
+
+module.exports = {
+  TILE_SIZE,
+  buildJoinRequestPacket,
+  buildQuitToExitPacket,
+  buildChatPacket,
+  buildDialogReturnPacket,
+  buildDropItemPacket,
+  buildTrashItemPacket,
+  buildWrenchPlayerPacket,
+  buildRespawnPacket,
+  buildTileChangePacket,
+  buildPunchPacket,
+  buildPlacePacket,
+  buildWrenchTilePacket,
+  buildDoorEnterPacket,
+  buildWearItemPacket,
+  buildStatePacket
+};
@@ -0,0 +1,955 @@
+"use strict";
+
+const { TextParse } = require("./textParse");
+const { Inventory, parseInventoryState } = require("./inventory");
+const { WorldState } = require("./worldState");
+const { parseWorldMap, parseTileUpdate, parseTileUpdateMultiple } = require("./worldMap");
+const { Dialog, parseDialogReturn } = require("./dialog");
+const { isInRangePort } = require("./ports");
+const { createPrefixedLogger } = require("./logger");
+const {
+  buildJoinRequestPacket,
+  buildQuitToExitPacket,
+  buildChatPacket,
+  buildDialogReturnPacket,
+  buildDropItemPacket,
+  buildTrashItemPacket,
+  buildWearItemPacket,
+  buildWrenchPlayerPacket,
+  buildRespawnPacket,
+  buildPunchPacket,
+  buildPlacePacket,
+  buildWrenchTilePacket,
+  buildDoorEnterPacket,
+  buildStatePacket
+} = require("./clientActions");
+const {
+  NET_MESSAGE,
+  GAME_PACKET,
+  PacketId,
+  parsePacket,
+  parseOnSendToServer,
+  parseOnSpawn,
+  parsePlayerVariant,
+  parseOnRemove,
+  rewriteOnSendToServerExtra,
+  encodeVariantArgs,
+  buildTextPacket,
+  buildTankPacket,
+  ensureNullTerminator,
+  toHex
+} = require("./packet");
+
+const FIST_ITEM_ID = 18;
+const WRENCH_ITEM_ID = 32;
+const GEMS_ITEM_ID = 112;
+
+function hasPendingEndpoint(address, port) {
+  return Boolean(String(address || "").trim()) && isInRangePort(Number(port));
+}
+
+function extractInputTextFallback(rawText) {
+
+  const source = String(rawText || "");
+  if (!source) {
+    return "";
+  }
+
+  // Accept both "text|..." and "|text|..." line styles.
+  const lines = source.replace(/\r\n/g, "\n").split("\n");
+  for (const line of lines) {
+    const trimmed = String(line || "").trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    if (trimmed.startsWith("text|")) {
+      return trimmed.slice("text|".length);
+    }
+
+    if (trimmed.startsWith("|text|")) {
+      return trimmed.slice("|text|".length);
+    }
+  }
+
+  return "";
+}
+
+// One game client and its upstream connection. ProxyCore routes each ENet peer's traffic to
+// its session; everything tied to a single game instance (world, inventory, scheduled tasks,
+// pending handoff endpoint) lives here. Scripts see the session as `ctx.proxy`.
+class ClientSession {
+  constructor(core, clientNetId) {
+    this.core = core;
+    this.id = clientNetId;
+    this.config = core.config;
+    this.logger = createPrefixedLogger(core.logger, `[client ${clientNetId}]`);
+    this.items = core.items;
+
+    this.world = new WorldState({ items: this.items });
+    this.inventory = new Inventory({ items: this.items });
+    // Child of the proxy scheduler: unloading a script also cancels its tasks here.
+    this.scheduler = core.scheduler.createChild(this.logger);
+    // Tail of in-flight packet handling per direction while async hooks are pending.
+    this.packetQueues = { ServerBound: null, ClientBound: null };
+
+    this.pendingAddress = "";
+    this.pendingPort = 65535;
+    // Endpoint of the upstream connect in flight; ProxyCore matches the next upstream peer to it.
+    this.connectingTo = null;
+    this.upstreamRetryTimer = null;
+    this.upstreamRetryCount = 0;
+
+    this.clientPeer = null;
+    this.serverPeer = null;
+    this.clientEndpoint = { address: "127.0.0.1", port: 0 };
+    this.upstreamEndpoint = { address: "0.0.0.0", port: 0 };
+  }
+
+  // Shared proxy objects, so `ctx.proxy` keeps exposing them.
+  get recorder() {
+    return this.core.recorder;
+  }
+
+  get scriptManager() {
+    return this.core.scriptManager;
+  }
+
+  startRecording(fileName = "") {
+    return this.core.startRecording(fileName);
+  }
+
+  stop() {
+    this.core.stop();
+  }
+
+  // Lifecycle payloads carry the session as `proxy`, like command and packet contexts.
+  emitScriptEvent(name, payload) {
+    return this.core.emitScriptEvent(name, { ...payload, proxy: this });
+  }
+
+  attachClient(peer, endpoint, pending) {
+    this.clientPeer = peer;
+    this.clientEndpoint = endpoint;
+    this.recordEndpoints();
+    this.emitScriptEvent("clientConnected", { netId: this.id, ...this.clientEndpoint });
+
+    if (pending) {
+      this.pendingAddress = pending.address;
+      this.pendingPort = pending.port;
+    }
+
+    if (this.core.upstreamOverride || hasPendingEndpoint(this.pendingAddress, this.pendingPort)) {
+      this.connectPendingServer();
+    } else {
+      this.logger.warn("No pending upstream endpoint yet. Waiting for server_data.php.");
+    }
+  }
+
+  // A pending handoff target outlives the client: the game reconnects to the proxy as a new
+  // peer after OnSendToServer, and that next session picks the target up from ProxyCore.
+  detachClient() {
+    this.clientPeer = null;
+    this.clearUpstreamRetry();
+    if (hasPendingEndpoint(this.pendingAddress, this.pendingPort)) {
+      this.logger.info(
+        `Preserving pending upstream target across client disconnect: ${this.pendingAddress}:${this.pendingPort}`
+      );
+      this.core.queuePendingEndpoint(this.pendingAddress, this.pendingPort);
+    }
+    this.pendingAddress = "";
+    this.pendingPort = 65535;
+
+    this.leaveWorld("disconnect");
+    this.inventory.clear();
+    this.core.dialogs.clear(this.id);
+    this.core.commandRegistry.releaseSession(this);
+    this.scheduler.dispose();
+    this.emitScriptEvent("clientDisconnected", { netId: this.id });
+
+    if (this.serverPeer) {
+      this.detachServer("later");
+    }
+  }
+
+  attachServer(peer, endpoint) {
+    this.connectingTo = null;
+    this.clearUpstreamRetry();
+    this.serverPeer = peer;
+    this.upstreamEndpoint = endpoint;
+    this.recordEndpoints();
+    this.emitScriptEvent("upstreamConnected", { netId: peer.data.netID, ...this.upstreamEndpoint });
+  }
+
+  onServerDisconnected(netId) {
+    if (this.serverPeer && this.serverPeer.data.netID === netId) {
+      this.serverPeer = null;
+    }
+    this.emitScriptEvent("upstreamDisconnected", { netId });
+
+    if (this.clientPeer && hasPendingEndpoint(this.pendingAddress, this.pendingPort)) {
+      this.logger.info(
+        `Upstream disconnected during handoff. Reconnecting to pending target ${this.pendingAddress}:${this.pendingPort}`
+      );
+      this.connectPendingServer();
+      return;
+    }
+
+    if (this.clientPeer) {
+      this.clientPeer.disconnect("later");
+    }
+  }
+
+  // Drops the upstream peer without waiting for its disconnect event.
+  detachServer(mode) {
+    const peer = this.serverPeer;
+    this.serverPeer = null;
+    this.core.releaseUpstream(peer.data.netID);
+    try {
+      peer.disconnect(mode);
+    } catch {
+      // no-op
+    }
+  }
+
+  close() {
+    this.clearUpstreamRetry();
+    this.core.commandRegistry.releaseSession(this);
+    this.scheduler.dispose();
+    if (this.clientPeer) {
+      this.clientPeer.disconnect("now");
+      this.clientPeer = null;
+    }
+
+    if (this.serverPeer) {
+      this.detachServer("now");
+    }
+  }
+
+  getEndpoints() {
+    return {
+      client: this.clientEndpoint,
+      upstream: this.upstreamEndpoint
+    };
+  }
+
+  recordEndpoints() {
+    this.core.recorder.recordEndpoints({ session: this.id, ...this.getEndpoints() });
+  }
+
+  isServerConnected() {
+    return this.serverPeer !== null;
+  }
+
+  connectPendingServer() {
+    if (this.core.upstreamOverride) {
+      this.pendingAddress = this.core.upstreamOverride.address;
+      this.pendingPort = this.core.upstreamOverride.port;
+    }
+
+    const cleanedAddress = String(this.pendingAddress || "").replace(/\0/g, "").trim();
+    const cleanedPort = Number(this.pendingPort);
+    if (!cleanedAddress || !isInRangePort(cleanedPort)) {
+      return false;
+    }
+    this.pendingAddress = cleanedAddress;
+    this.pendingPort = cleanedPort;
+
+    if (this.serverPeer) {
+      this.logger.warn("Upstream peer already exists. Disconnecting stale peer and retrying...");
+      this.detachServer("now");
+      this.scheduleUpstreamRetry();
+      return false;
+    }
+
+    if (!this.core.proxyClientListening) {
+      this.core.proxyClient.listen();
+      this.core.proxyClientListening = true;
+    }
+
+    this.logger.debug(`Connecting upstream -> ${this.pendingAddress}:${this.pendingPort}`);
+    let ok = this.core.proxyClient.connect(this.pendingAddress, this.pendingPort);
+    if (!ok) {
+      const peerCount = this.core.getProxyClientPeerCount();
+      this.logger.warn(
+        `Failed to initiate upstream connection to ${this.pendingAddress}:${this.pendingPort}`
+        + (peerCount >= 0 ? ` (peerCount=${peerCount})` : "")
+      );
+
+      const resetCount = this.core.cleanupProxyClientPeers("connect-init-failed");
+      if (resetCount > 0) {
+        ok = this.core.proxyClient.connect(this.pendingAddress, this.pendingPort);
+      }
+
+      if (!ok) {
+        const peerCountAfter = this.core.getProxyClientPeerCount();
+        this.logger.warn(
+          `Retry after peer reset still failed for ${this.pendingAddress}:${this.pendingPort}`
+          + (peerCountAfter >= 0 ? ` (peerCount=${peerCountAfter})` : "")
+        );
+        this.scheduleUpstreamRetry();
+        return false;
+      }
+    }
+
+    if (ok) {
+      this.logger.info(`Initiated upstream ENet connect to ${this.pendingAddress}:${this.pendingPort}`);
+      this.clearUpstreamRetry();
+      this.connectingTo = { address: this.pendingAddress, port: this.pendingPort };
+      this.pendingAddress = "";
+      this.pendingPort = 65535;
+      return true;
+    }
+
+    if (!ok) {
+      this.scheduleUpstreamRetry();
+      return false;
+    }
+    return false;
+  }
+
+  clearUpstreamRetry() {
+    if (this.upstreamRetryTimer) {
+      clearTimeout(this.upstreamRetryTimer);
+      this.upstreamRetryTimer = null;
+    }
+    this.upstreamRetryCount = 0;
+  }
+
+  scheduleUpstreamRetry() {
+    if (!this.clientPeer || !this.pendingAddress || !isInRangePort(this.pendingPort)) {
+      return;
+    }
+
+    if (this.upstreamRetryTimer) {
+      return;
+    }
+
+    this.upstreamRetryCount += 1;
+    if (this.upstreamRetryCount > 12) {
+      this.logger.error(
+        `Exceeded upstream retry budget for ${this.pendingAddress}:${this.pendingPort}. `
+        + "Wait for next OnSendToServer/update."
+      );
+      return;
+    }
+
+    const delayMs = Math.min(3000, 250 * this.upstreamRetryCount);
+    this.logger.warn(
+      `Retrying upstream connection (${this.upstreamRetryCount}/12) in ${delayMs}ms `
+      + `to ${this.pendingAddress}:${this.pendingPort}`
+    );
+    this.upstreamRetryTimer = setTimeout(() => {
+      this.upstreamRetryTimer = null;
+      this.connectPendingServer();
+    }, delayMs);
+  }
+
+  // Packets are handled synchronously unless a previous one in the same direction is still
+  // waiting on async hooks; then they queue behind it so forwarding order is preserved.
+  enqueuePacket(direction, handle) {
+    const previous = this.packetQueues[direction];
+    const result = previous ? previous.then(handle) : handle();
+    if (!result || typeof result.then !== "function") {
+      return;
+    }
+
+    const tail = result
+      .catch((error) => this.logger.error(`${direction} packet handling failed: ${error.message}`))
+      .then(() => {
+        if (this.packetQueues[direction] === tail) {
+          this.packetQueues[direction] = null;
+        }
+      });
+    this.packetQueues[direction] = tail;
+  }
+
+  dispatchPacket(eventName, context, recording) {
+    const pending = this.core.emitScriptEvent(eventName, context);
+    if (!pending) {
+      this.finishPacket(context, recording);
+      return undefined;
+    }
+
+    this.core.recorder.endPacketHold(this.id);
+    return pending.then(() => this.finishPacket(context, recording));
+  }
+
+  finishPacket(context, recording) {
+    this.recordPacket(context, recording);
+    this.core.publishPacket(this, {
+      direction: context.direction,
+      channelId: context.channelId,
+      parsed: context.parsed,
+      raw: context.raw,
+      canceled: context.canceled
+    });
+    if (context.canceled) {
+      return;
+    }
+
+    if (context.direction === "ServerBound") {
+      if (this.serverPeer) {
+        this.writeToServer(context.raw, context.channelId);
+      }
+      return;
+    }
+
+    if (this.clientPeer) {
+      this.writeToClient(context.raw, context.channelId);
+    }
+  }
+
+  // Clears world state, emitting worldLeft first when a map was loaded.
+  leaveWorld(reason) {
+    if (this.world.hasMap()) {
+      this.emitScriptEvent("worldLeft", { name: this.world.getWorldName(), reason });
+    }
+
+    this.world.clear();
+    this.scheduler.cancelScope("world");
+  }
+
+  logDecoded(direction, parsed, raw) {
+    if (parsed.kind === "text") {
+      if (this.config.log.printMessage) {
+        this.logger.info(`[${direction}] ${parsed.packetId}:\n${parsed.text}`);
+      }
+      return;
+    }
+
+    if (parsed.kind === "tank") {
+      if (this.config.log.printGameUpdatePacket) {
+        this.logger.info(`[${direction}] Tank ${parsed.packetId} header: ${toHex(raw.subarray(0, Math.min(60, raw.length)))}`);
+      }
+      if (this.config.log.printVariant && Array.isArray(parsed.variantArgs)) {
+        this.logger.info(`[${direction}] Variant ${parsed.variantFunction}: ${JSON.stringify(parsed.variantArgs)}`);
+      }
+      if (this.config.log.printExtra && parsed.extra && parsed.extra.length > 1 && !Array.isArray(parsed.variantArgs)) {
+        this.logger.debug(`[${direction}] Extra: ${toHex(parsed.extra)}`);
+      }
+    }
+  }
+
+  beginRecordedPacket(rawData) {
+    if (!this.core.recorder.isRecording() && !this.core.pcapWriter) {
+      return null;
+    }
+
+    return {
+      original: Buffer.from(rawData),
+      held: this.core.recorder.beginPacket(this.id)
+    };
+  }
+
+  recordPacket(context, recording) {
+    if (!recording) {
+      return;
+    }
+
+    const { original, held } = recording;
+    this.core.recorder.recordPacket({
+      session: this.id,
+      direction: context.direction,
+      channelId: context.channelId,
+      original,
+      forwarded: context.raw,
+      canceled: context.canceled,
+      held
+    });
+
+    if (this.core.pcapWriter) {
+      this.core.pcapWriter.writePacket({
+        session: this.id,
+        direction: context.direction,
+        channelId: context.channelId,
+        data: context.canceled ? original : context.raw,
+        canceled: context.canceled,
+        mutated: !context.canceled && !context.raw.equals(original),
+        endpoints: this.getEndpoints()
+      });
+    }
+  }
+
+  recordInjected(direction, channelId, buffer) {
+    this.core.recorder.recordInjected({ session: this.id, direction, channelId, data: buffer });
+    if (this.core.pcapWriter) {
+      this.core.pcapWriter.writePacket({
+        session: this.id,
+        direction,
+        channelId,
+        data: buffer,
+        injected: true,
+        endpoints: this.getEndpoints()
+      });
+    }
+  }
+
+  handleServerBoundPacket(channelId, rawData) {
+    const recording = this.beginRecordedPacket(rawData);
+    const parsed = parsePacket(rawData);
+    this.logDecoded("ServerBound", parsed, rawData);
+
+    const context = {
+      proxy: this,
+      direction: "ServerBound",
+      channelId,
+      parsed,
+      raw: rawData,
+      canceled: false
+    };
+
+    if (parsed.packetId === PacketId.JoinRequest || parsed.packetId === PacketId.QuitToExit) {
+      this.leaveWorld(parsed.packetId === PacketId.JoinRequest ? "join" : "quit");
+    }
+
+    if (parsed.packetId === PacketId.Input) {
+      const candidates = new Set();
+      const directText = String(parsed.inputText || "");
+      if (directText) {
+        candidates.add(directText);
+      }
+      const fallbackText = extractInputTextFallback(parsed.text || "");
+      if (fallbackText) {
+        candidates.add(fallbackText);
+      }
+
+      let executed = false;
+      for (const candidate of candidates) {
+        if (this.core.commandRegistry.execute(candidate, { proxy: this, logger: this.logger })) {
+          executed = true;
+          break;
+        }
+      }
+
+      if (executed) {
+        context.canceled = true;
+      } else if (candidates.size > 0) {
+        this.logger.debug(`Input command not intercepted. Candidates: ${JSON.stringify([...candidates])}`);
+      }
+    }
+
+    if (parsed.packetId === PacketId.DialogReturn) {
+      this.handleDialogReturn(context);
+    }
+
+    // The client only sends its own movement.
+    if (parsed.packetId === PacketId.State) {
+      this.world.onState(this.world.getLocalNetId(), parsed);
+    }
+
+    if (parsed.packetId === PacketId.ItemActivateRequest && this.items.getClothingSlot(parsed.info)) {
+      this.inventory.setEquipped(parsed.info, !this.inventory.isEquipped(parsed.info));
+    }
+
+    if (parsed.packetId === PacketId.Quit) {
+      context.canceled = true;
+      if (this.clientPeer) {
+        this.clientPeer.disconnect("normal");
+      }
+      if (this.serverPeer) {
+        this.serverPeer.disconnect("now");
+      }
+    }
+
+    if (parsed.packetId === PacketId.Disconnect) {
+      context.canceled = true;
+      if (this.clientPeer) {
+        this.clientPeer.disconnect("now");
+      }
+      if (this.serverPeer) {
+        this.serverPeer.disconnect("now");
+      }
+    }
+
+    if (!context.canceled) {
+      this.core.rules.apply(context);
+    }
+
+    return this.dispatchPacket("serverBoundPacket", context, recording);
+  }
+
+  // Answers for dialogs shown through showDialog() stay in the proxy; the server never
+  // sent those dialogs and would reject the reply.
+  handleDialogReturn(context) {
+    const response = parseDialogReturn(context.parsed);
+    const entry = response ? this.core.dialogs.take(response.name, this.id) : null;
+    if (!entry) {
+      return;
+    }
+
+    context.canceled = true;
+    const label = `Dialog handler "${entry.name}"${entry.owner ? ` (${entry.owner})` : ""}`;
+    try {
+      const result = this.scheduler.runAs(entry.owner, () => entry.handler(response, { proxy: this, logger: this.logger }));
+      if (result && typeof result.then === "function") {
+        result.catch((error) => this.logger.error(`${label} failed: ${error?.message ?? error}`));
+      }
+    } catch (error) {
+      this.logger.error(`${label} failed: ${error.message}`);
+    }
+  }
+
+  handleClientBoundPacket(channelId, rawData) {
+    const recording = this.beginRecordedPacket(rawData);
+    const hadTrailingNull = rawData.length > 0 && rawData[rawData.length - 1] === 0;
+    const parsed = parsePacket(rawData);
+    this.logDecoded("ClientBound", parsed, rawData);
+
+    const context = {
+      proxy: this,
+      direction: "ClientBound",
+      channelId,
+      parsed,
+      raw: rawData,
+      canceled: false
+    };
+
+    if (parsed.packetId === PacketId.OnSendToServer && Array.isArray(parsed.variantArgs)) {
+      const sendToServer = parseOnSendToServer(parsed.variantArgs);
+      if (sendToServer) {
+        this.logger.info(`OnSendToServer args length=${parsed.variantArgs.length}, upstream=${sendToServer.address}:${sendToServer.port}`);
+        this.pendingAddress = sendToServer.address;
+        this.pendingPort = sendToServer.port;
+
+        const modifiedExtra = rewriteOnSendToServerExtra(
+          parsed.extra,
+          "127.0.0.1",
+          this.config.server.port
+        );
+
+        if (modifiedExtra) {
+          const modifiedTank = buildTankPacket({
+            header: parsed.header,
+            packetType: GAME_PACKET.CALL_FUNCTION,
+            netId: parsed.netId,
+            targetNetId: parsed.targetNetId,
+            state: parsed.state,
+            info: parsed.info,
+            extra: modifiedExtra
+          });
+
+          context.raw = hadTrailingNull ? ensureNullTerminator(modifiedTank) : modifiedTank;
+        } else {
+          this.logger.warn("Failed to rewrite OnSendToServer variant payload. Forwarding original payload.");
+        }
+
+        if (this.clientPeer && !this.serverPeer) {
+          this.logger.info(
+            `Attempting immediate upstream connect after OnSendToServer -> ${this.pendingAddress}:${this.pendingPort}`
+          );
+          this.connectPendingServer();
+        } else if (this.serverPeer) {
+          this.logger.info(
+            "Received OnSendToServer while already connected upstream. "
+            + "Keeping pending endpoint for next reconnect."
+          );
+        }
+      } else {
+        this.logger.warn("Failed to parse OnSendToServer packet. Forwarding original variant payload.");
+      }
+    }
+
+    if (parsed.packetId === PacketId.OnSpawn && Array.isArray(parsed.variantArgs)) {
+      const player = this.world.onSpawn(parseOnSpawn(parsed.variantArgs));
+      if (player) {
+        this.emitScriptEvent("playerSpawned", { netId: player.netId, player });
+      }
+    }
+
+    if (parsed.packetId === PacketId.OnSetPos && Array.isArray(parsed.variantArgs[1])) {
+      const [posX, posY] = parsed.variantArgs[1];
+      this.world.onSetPos(parsed.netId, posX, posY);
+    }
+
+    if (parsed.packetId === PacketId.State) {
+      this.world.onState(parsed.netId, parsed);
+    }
+
+    const playerFields = parsePlayerVariant(parsed);
+    if (playerFields) {
+      const changes = this.world.updatePlayer(parsed.netId, playerFields);
+      if (changes) {
+        this.emitScriptEvent("playerChanged", { netId: parsed.netId, player: this.world.getPlayer(parsed.netId), changes });
+      }
+    }
+
+    if (parsed.packetId === PacketId.OnRemove && Array.isArray(parsed.variantArgs)) {
+      const removeData = parseOnRemove(parsed.variantArgs);
+      const player = removeData ? this.world.onRemove(removeData.netId) : null;
+      if (player) {
+        this.emitScriptEvent("playerRemoved", { netId: player.netId, player });
+      }
+    }
+
+    if (parsed.kind === "tank") {
+      this.updateInventoryFromTank(parsed);
+      this.updateWorldFromTank(parsed);
+    }
+
+    if (!context.canceled) {
+      this.core.rules.apply(context);
+    }
+
+    return this.dispatchPacket("clientBoundPacket", context, recording);
+  }
+
+  updateInventoryFromTank(parsed) {
+    if (parsed.packetId === PacketId.SendInventoryState) {
+      const state = parseInventoryState(parsed.extra);
+      if (!state) {
+        this.logger.warn("Failed to parse inventory state.");
+        return;
+      }
+
+      this.inventory.load(state);
+      this.logger.debug(`Inventory loaded (${state.items.length}/${state.slotCount} slots)`);
+      return;
+    }
+
+    // MODIFY_ITEM_INVENTORY: item id in `info`, removed amount in jumpCount, added amount in animationType.
+    if (parsed.packetId === PacketId.ModifyItemInventory) {
+      this.inventory.remove(parsed.info, parsed.jumpCount);
+      this.inventory.add(parsed.info, parsed.animationType);
+      return;
+    }
+
+    // A confirmed placement by the local player consumes one of the placed item.
+    if (
+      parsed.packetId === PacketId.TileChangeRequest
+      && parsed.netId === this.world.getLocalNetId()
+      && parsed.info !== FIST_ITEM_ID
+      && parsed.info !== WRENCH_ITEM_ID
+    ) {
+      this.inventory.remove(parsed.info, 1);
+    }
+  }
+
+  updateWorldFromTank(parsed) {
+    if (parsed.packetId === PacketId.SendMapData) {
+      const map = parseWorldMap(parsed.extra);
+      if (!map) {
+        this.logger.warn("Failed to parse world map data.");
+        return;
+      }
+
+      // Map data without a preceding join_request (server-side warp): players stay tracked.
+      if (this.world.hasMap()) {
+        this.emitScriptEvent("worldLeft", { name: this.world.getWorldName(), reason: "join" });
+        this.scheduler.cancelScope("world");
+      }
+      this.world.loadMap(map);
+      if (!map.complete) {
+        this.logger.warn(`World map "${map.name}" decoded partially: ${map.error}`);
+      }
+      this.logger.debug(
+        `World "${map.name}" loaded (${map.width}x${map.height}, ${map.tiles.length} tiles, `
+        + `${map.dropped.items.length} dropped)`
+      );
+      this.emitScriptEvent("worldEntered", {
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        complete: map.complete
+      });
+      return;
+    }
+
+    if (!this.world.hasMap()) {
+      return;
+    }
+
+    if (parsed.packetId === PacketId.SendTileUpdateData) {
+      this.world.onTileUpdate(parseTileUpdate(parsed.extra, parsed.intX, parsed.intY));
+      return;
+    }
+
+    if (parsed.packetId === PacketId.SendTileUpdateDataMultiple) {
+      for (const tile of parseTileUpdateMultiple(parsed.extra)) {
+        this.world.onTileUpdate(tile);
+      }
+      return;
+    }
+
+    if (parsed.packetId === PacketId.TileChangeRequest) {
+      this.world.onTileChange(parsed.intX, parsed.intY, parsed.info);
+      this.logger.trace(`Tile change ${this.items.format(parsed.info)} -> ${this.world.describeTile(parsed.intX, parsed.intY)}`);
+      return;
+    }
+
+    if (parsed.packetId === PacketId.ItemChangeObject) {
+      const item = this.world.onItemChangeObject(parsed);
+      if (item) {
+        this.logger.trace(`Dropped object #${item.uid} ${this.items.format(item.itemId)} x${item.amount}`);
+      }
+
+      const pickedUp = item && parsed.netId >= 0 && parsed.netId === this.world.getLocalNetId();
+      if (pickedUp && item.itemId !== GEMS_ITEM_ID) {
+        this.inventory.add(item.itemId, item.amount);
+      }
+    }
+  }
+
+  // Public senders are for packets the proxy or a script injects; forwarded traffic goes
+  // through writeToServer/writeToClient directly so captures can tell the two apart.
+  sendToServer(buffer, channelId = 0) {
+    const sent = this.writeToServer(buffer, channelId);
+    if (sent) {
+      this.recordInjected("ServerBound", channelId, buffer);
+      this.core.publishPacket(this, { direction: "ServerBound", channelId, raw: buffer, injected: true });
+    }
+    return sent;
+  }
+
+  sendToClient(buffer, channelId = 0) {
+    const sent = this.writeToClient(buffer, channelId);
+    if (sent) {
+      this.recordInjected("ClientBound", channelId, buffer);
+      this.core.publishPacket(this, { direction: "ClientBound", channelId, raw: buffer, injected: true });
+    }
+    return sent;
+  }
+
+  writeToServer(buffer, channelId = 0) {
+    if (!this.serverPeer) {
+      return false;
+    }
+
+    try {
+      this.core.proxyClient.send(this.serverPeer.data.netID, channelId, buffer);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed sending to server: ${error.message}`);
+      return false;
+    }
+  }
+
+  writeToClient(buffer, channelId = 0) {
+    if (!this.clientPeer) {
+      return false;
+    }
+
+    try {
+      this.core.proxyServer.send(this.clientPeer.data.netID, channelId, buffer);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed sending to client: ${error.message}`);
+      return false;
+    }
+  }
+
+  sendLog(message) {
+    const parser = new TextParse();
+    parser.add("action", "log");
+    parser.add("msg", String(message));
+    return this.sendToClient(buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw()), 0);
+  }
+
+  sendQuitToExit() {
+    return this.sendToServer(buildQuitToExitPacket(), 0);
+  }
+
+  sendJoinRequest(worldName, invitedWorld = false) {
+    return this.sendToServer(buildJoinRequestPacket(worldName, invitedWorld), 0);
+  }
+
+  sendChat(text) {
+    return this.sendToServer(buildChatPacket(text), 0);
+  }
+
+  sendDialogReturn(dialogName, fields = {}) {
+    return this.sendToServer(buildDialogReturnPacket(dialogName, fields), 0);
+  }
+
+  sendDropItem(itemId, count = 1) {
+    return this.sendToServer(buildDropItemPacket(itemId, count), 0);
+  }
+
+  sendTrashItem(itemId, count = 1) {
+    return this.sendToServer(buildTrashItemPacket(itemId, count), 0);
+  }
+
+  sendWearItem(itemId) {
+    return this.sendToServer(buildWearItemPacket(itemId), 0);
+  }
+
+  sendWrenchPlayer(netId) {
+    return this.sendToServer(buildWrenchPlayerPacket(netId), 0);
+  }
+
+  sendRespawn(spike = false) {
+    return this.sendToServer(buildRespawnPacket(spike), 0);
+  }
+
+  // Tile helpers take tile coordinates; options.posX/posY override the player pixel position.
+  sendPunch(x, y, options = {}) {
+    return this.sendToServer(buildPunchPacket(x, y, options), 0);
+  }
+
+  sendPlace(x, y, itemId, options = {}) {
+    return this.sendToServer(buildPlacePacket(x, y, itemId, options), 0);
+  }
+
+  sendWrenchTile(x, y, options = {}) {
+    return this.sendToServer(buildWrenchTilePacket(x, y, options), 0);
+  }
+
+  sendEnterDoor(x, y, options = {}) {
+    return this.sendToServer(buildDoorEnterPacket(x, y, options), 0);
+  }
+
+  sendState(fields = {}) {
+    return this.sendToServer(buildStatePacket({ netId: this.world.getLocalNetId(), ...fields }), 0);
+  }
+
+  // Arguments may be plain values (type guessed) or Variant objects (type kept as given).
+  buildVariantCall(functionName, args, options) {
+    const variantArgs = [String(functionName), ...args];
+    const extra = encodeVariantArgs(variantArgs);
+    const tank = buildTankPacket({
+      packetType: GAME_PACKET.CALL_FUNCTION,
+      netId: Number(options.netId ?? -1),
+      targetNetId: Number(options.targetNetId ?? 0),
+      info: Number(options.delay ?? 0),
+      extra
+    });
+    return ensureNullTerminator(tank);
+  }
+
+  sendVariantToClient(functionName, args = [], options = {}) {
+    try {
+      return this.sendToClient(this.buildVariantCall(functionName, args, options), Number(options.channelId ?? 0));
+    } catch (error) {
+      this.logger.error(`Failed to send client variant "${functionName}": ${error.message}`);
+      return false;
+    }
+  }
+
+  sendVariantToServer(functionName, args = [], options = {}) {
+    try {
+      return this.sendToServer(this.buildVariantCall(functionName, args, options), Number(options.channelId ?? 0));
+    } catch (error) {
+      this.logger.error(`Failed to send server variant "${functionName}": ${error.message}`);
+      return false;
+    }
+  }
+
+  // `dialog` is a Dialog or raw dialog text. With a handler, the client's dialog_return for
+  // that dialog name is passed to handler(response, { proxy, logger }) instead of upstream.
+  showDialog(dialog, handler = null) {
+    const text = String(dialog);
+    if (typeof handler === "function") {
+      const name = Dialog.isDialog(dialog) ? dialog.name : Dialog.parse(text).name;
+      if (!this.core.dialogs.register(name, handler, this.scheduler.getOwner(), this.id)) {
+        this.logger.error("Cannot intercept a dialog without an end_dialog name");
+        return false;
+      }
+    }
+
+    return this.sendVariantToClient("OnDialogRequest", [text]);
+  }
+}
+
+module.exports = {
+  ClientSession
+};
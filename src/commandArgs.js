@@ -0,0 +1,308 @@
+"use strict";
+
+const PARAM_TYPES = new Set(["string", "int", "hex", "enum", "rest"]);
+const FLAG_TYPES = new Set(["boolean", "string", "int", "hex", "enum"]);
+const PARAM_NAME = /^[a-z][a-z0-9_-]*$/i;
+
+// Thrown for input that does not fit a command's schema; the registry reports the message
+// with the command's usage line instead of running the handler.
+class CommandArgsError extends Error {}
+
+function compileEntry(entry, kind, types) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`${kind} must be an object`);
+  }
+
+  const name = String(entry.name || "");
+  if (!PARAM_NAME.test(name)) {
+    throw new Error(`invalid ${kind} name ${JSON.stringify(entry.name)}`);
+  }
+
+  const type = entry.type ?? (kind === "flag" ? "boolean" : "string");
+  if (!types.has(type)) {
+    throw new Error(`${kind} "${name}" has unknown type "${type}"`);
+  }
+
+  if (type === "enum" && (!Array.isArray(entry.values) || entry.values.length === 0)) {
+    throw new Error(`enum ${kind} "${name}" needs a "values" list`);
+  }
+
+  if (entry.validate !== undefined && typeof entry.validate !== "function") {
+    throw new Error(`${kind} "${name}" validate must be a function`);
+  }
+
+  return {
+    name,
+    type,
+    description: String(entry.description || ""),
+    optional: entry.optional === true || entry.default !== undefined || kind === "flag",
+    default: entry.default,
+    values: type === "enum" ? entry.values.map(String) : null,
+    min: entry.min,
+    max: entry.max,
+    maxLength: entry.maxLength,
+    validate: entry.validate ?? null
+  };
+}
+
+// An optional enum may come before required params ("/skin [hex] <code>"): a word that is not
+// one of its values goes to the next param instead.
+function isSkippableEnum(param) {
+  return param?.type === "enum" && param.optional;
+}
+
+// Checks a register() options object once, so mistakes show up when the script loads rather
+// than when someone types the command.
+function compileSchema(options = {}) {
+  const params = (options.params ?? []).map((param) => compileEntry(param, "param", PARAM_TYPES));
+  const flags = (options.flags ?? []).map((flag) => compileEntry(flag, "flag", FLAG_TYPES));
+
+  params.forEach((param, index) => {
+    if (param.type === "rest" && index !== params.length - 1) {
+      throw new Error(`rest param "${param.name}" must be the last param`);
+    }
+    const skippable = params.slice(0, index).every((previous) => !previous.optional || isSkippableEnum(previous));
+    if (!param.optional && !skippable) {
+      throw new Error(`required param "${param.name}" cannot follow an optional one`);
+    }
+  });
+
+  const names = [...params, ...flags].map((entry) => entry.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`duplicate param or flag "${duplicate}"`);
+  }
+
+  return { params, flags };
+}
+
+// Reads one argument starting at `index`. Double or single quotes group words; a backslash
+// escapes the next character inside quotes.
+function readToken(text, index) {
+  let position = index;
+  while (position < text.length && /\s/.test(text[position])) {
+    position += 1;
+  }
+
+  if (position >= text.length) {
+    return null;
+  }
+
+  const start = position;
+  let value = "";
+  let quoted = false;
+  while (position < text.length && !/\s/.test(text[position])) {
+    const char = text[position];
+    if (char !== "\"" && char !== "'") {
+      value += char;
+      position += 1;
+      continue;
+    }
+
+    quoted = true;
+    position += 1;
+    while (position < text.length && text[position] !== char) {
+      if (text[position] === "\\" && position + 1 < text.length) {
+        position += 1;
+      }
+      value += text[position];
+      position += 1;
+    }
+
+    if (position >= text.length) {
+      throw new CommandArgsError("Unclosed quote");
+    }
+    position += 1;
+  }
+
+  return { value, quoted, start, end: position };
+}
+
+// Splits text into words the way positional arguments are read, honoring quotes.
+function splitArgs(text) {
+  const source = String(text || "");
+  const words = [];
+  let token = readToken(source, 0);
+  while (token) {
+    words.push(token.value);
+    token = readToken(source, token.end);
+  }
+
+  return words;
+}
+
+function checkRange(entry, number) {
+  if (entry.min !== undefined && number < entry.min) {
+    throw new CommandArgsError(`${entry.name} must be at least ${entry.min}`);
+  }
+
+  if (entry.max !== undefined && number > entry.max) {
+    throw new CommandArgsError(`${entry.name} must be at most ${entry.max}`);
+  }
+
+  return number;
+}
+
+function findEnumValue(entry, raw) {
+  return entry.values.find((option) => option.toLowerCase() === raw.toLowerCase());
+}
+
+function convertValue(entry, raw) {
+  let value = raw;
+  if (entry.type === "int") {
+    // 0x-prefixed hex is accepted too, since item ids and colors are often written that way.
+    if (!/^[+-]?\d+$/.test(raw) && !/^0x[0-9a-f]+$/i.test(raw)) {
+      throw new CommandArgsError(`${entry.name} must be a whole number, got "${raw}"`);
+    }
+    value = checkRange(entry, Number(raw));
+  } else if (entry.type === "hex") {
+    if (!/^(0x)?[0-9a-f]+$/i.test(raw)) {
+      throw new CommandArgsError(`${entry.name} must be a hex number, got "${raw}"`);
+    }
+    value = checkRange(entry, Number.parseInt(raw.replace(/^0x/i, ""), 16));
+  } else if (entry.type === "enum") {
+    value = findEnumValue(entry, raw);
+    if (value === undefined) {
+      throw new CommandArgsError(`${entry.name} must be one of ${entry.values.join(", ")}, got "${raw}"`);
+    }
+  } else if (entry.maxLength !== undefined && raw.length > entry.maxLength) {
+    throw new CommandArgsError(`${entry.name} cannot exceed ${entry.maxLength} characters`);
+  }
+
+  if (entry.validate) {
+    let problem;
+    try {
+      problem = entry.validate(value);
+    } catch (error) {
+      problem = error.message;
+    }
+    if (typeof problem === "string" && problem) {
+      throw new CommandArgsError(problem);
+    }
+  }
+
+  return value;
+}
+
+function readFlag(schema, token, flags) {
+  const body = token.value.slice(2);
+  const equals = body.indexOf("=");
+  const name = equals >= 0 ? body.slice(0, equals) : body;
+  const flag = schema.flags.find((candidate) => candidate.name === name);
+  if (!flag) {
+    throw new CommandArgsError(`Unknown flag --${name}`);
+  }
+
+  if (flag.type === "boolean") {
+    if (equals >= 0) {
+      throw new CommandArgsError(`--${name} does not take a value`);
+    }
+    flags[name] = true;
+    return;
+  }
+
+  if (equals < 0) {
+    throw new CommandArgsError(`--${name} needs a value (--${name}=...)`);
+  }
+  flags[name] = convertValue(flag, body.slice(equals + 1));
+}
+
+// Parses the text after the command name. Returns { params, flags, args }, where `args`
+// keeps the positional values as typed (strings) for handlers written before schemas.
+function parseCommandArgs(schema, text) {
+  const params = {};
+  const flags = {};
+  const args = [];
+  const source = String(text || "");
+  let paramIndex = 0;
+  let position = 0;
+
+  for (;;) {
+    const remaining = source.slice(position).trimStart();
+    if (!remaining) {
+      break;
+    }
+
+    let param = schema.params[paramIndex];
+    const isFlag = schema.flags.length > 0 && /^--[^\s-]/.test(remaining);
+    if (!isFlag && isSkippableEnum(param) && schema.params[paramIndex + 1] !== undefined
+      && findEnumValue(param, readToken(source, position).value) === undefined) {
+      params[param.name] = param.default;
+      paramIndex += 1;
+      param = schema.params[paramIndex];
+    }
+    // The rest param takes everything left exactly as typed, quotes and all.
+    if (param?.type === "rest" && !isFlag) {
+      params[param.name] = convertValue(param, remaining.trimEnd());
+      args.push(remaining.trimEnd());
+      paramIndex += 1;
+      break;
+    }
+
+    const token = readToken(source, position);
+    position = token.end;
+    if (isFlag) {
+      readFlag(schema, token, flags);
+      continue;
+    }
+
+    if (!param) {
+      throw new CommandArgsError(`Too many arguments, unexpected "${token.value}"`);
+    }
+
+    paramIndex += 1;
+    params[param.name] = convertValue(param, token.value);
+    args.push(token.value);
+  }
+
+  for (const param of schema.params.slice(paramIndex)) {
+    if (!param.optional) {
+      throw new CommandArgsError(`Missing ${param.name}`);
+    }
+    params[param.name] = param.default;
+  }
+
+  for (const flag of schema.flags) {
+    if (!(flag.name in flags)) {
+      flags[flag.name] = flag.default ?? (flag.type === "boolean" ? false : undefined);
+    }
+  }
+
+  return { params, flags, args };
+}
+
+function describeEntry(entry) {
+  if (entry.type === "enum") {
+    // A one-value enum is a keyword, shown as typed.
+    return entry.values.length === 1 ? entry.values[0] : `${entry.name}:${entry.values.join("|")}`;
+  }
+
+  return entry.type === "rest" ? `${entry.name}...` : entry.name;
+}
+
+// "/warp <world> [count=1] [--hex]"
+function formatUsage(prefix, name, schema) {
+  const parts = [`${prefix}${name}`];
+  for (const param of schema.params) {
+    const label = describeEntry(param);
+    if (!param.optional) {
+      parts.push(`<${label}>`);
+    } else {
+      parts.push(param.default !== undefined ? `[${label}=${param.default}]` : `[${label}]`);
+    }
+  }
+
+  for (const flag of schema.flags) {
+    parts.push(flag.type === "boolean" ? `[--${flag.name}]` : `[--${flag.name}=<${describeEntry(flag)}>]`);
+  }
+
+  return parts.join(" ");
+}
+
+module.exports = {
+  CommandArgsError,
+  compileSchema,
+  parseCommandArgs,
+  splitArgs,
+  formatUsage
+};
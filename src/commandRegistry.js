@@ -1,9 +1,91 @@
 "use strict";
 
+const {
+  CommandArgsError,
+  compileSchema,
+  parseCommandArgs,
+  formatUsage
+} = require("./commandArgs");
+const { TaskCanceledError } = require("./taskScheduler");
+
+const COMMAND_NAME = /^[a-z0-9_-]+$/;
+const INSTANCE_POLICIES = new Set(["", "reject", "restart"]);
+
+// The abort reason of a canceled command. Handlers that stop on it, or on a canceled
+// scheduler sleep(), are not reported as failing.
+class CommandCanceledError extends TaskCanceledError {}
+
+// ctx.sleep(): resolves after `ms`, or rejects with the cancel reason once the command is canceled.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function splitPath(name) {
+  return String(name || "").trim().toLowerCase().split(/\s+/g).filter(Boolean);
+}
+
+// Optimal string alignment distance, so a swapped pair ("wrap" for "warp") counts as one edit.
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j += 1) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+function closestNames(typed, names, limit = 3) {
+  const maxDistance = Math.max(1, Math.floor(typed.length / 3));
+  return names
+    .map((name) => ({
+      name,
+      distance: typed.length >= 2 && name.startsWith(typed) ? 0 : editDistance(typed, name)
+    }))
+    .filter((candidate) => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((candidate) => candidate.name);
+}
+
 class CommandRegistry {
-  constructor(prefix = "/") {
+  // `options.swallowUnknown` answers unknown prefixed input locally instead of forwarding it,
+  // except for names in `options.passthrough` (the game's own commands).
+  constructor(prefix = "/", options = {}) {
     this.prefix = prefix;
     this.commands = new Map();
+    this.aliases = new Map();
+    this.swallowUnknown = options.swallowUnknown === true;
+    this.passthrough = new Set((options.passthrough ?? []).map((name) => String(name).toLowerCase()));
+    // Per session (the ctx.proxy object, or null): running async commands and cooldowns.
+    this.sessions = new Map();
   }
 
   normalizeInput(text) {
@@ -22,28 +104,255 @@ class CommandRegistry {
     }
   }
 
-  register(name, description, handler) {
-    const key = String(name || "").trim().toLowerCase();
-    if (!key || typeof handler !== "function") {
+  // Top-level commands live in `commands`, subcommands in their parent entry. Aliases map to a
+  // name on the same level.
+  getLevel(parent) {
+    return parent ? [parent.subcommands, parent.subcommandAliases] : [this.commands, this.aliases];
+  }
+
+  findIn(parent, key) {
+    const [commands, aliases] = this.getLevel(parent);
+    return commands.get(key) ?? commands.get(aliases.get(key)) ?? null;
+  }
+
+  // `options` is a description string, or { description, params, flags, aliases, cooldownMs,
+  // singleInstance } to have arguments parsed and checked before the handler runs (see README
+  // "Command arguments" and "Async commands"). A name such as "record start" adds a subcommand;
+  // missing parents are created as groups that only list their subcommands. An invalid schema,
+  // alias or policy throws.
+  register(name, options, handler, owner = "") {
+    const path = splitPath(name);
+    if (path.length === 0 || typeof handler !== "function") {
       return;
     }
 
-    this.commands.set(key, {
-      name: key,
-      description: String(description || ""),
-      handler
-    });
+    const isSchema = options !== null && typeof options === "object";
+    // Only params/flags opt into parsing; an options object with just aliases keeps ctx.args free-form.
+    const schema = isSchema && (options.params || options.flags) ? compileSchema(options) : null;
+    const aliases = isSchema ? splitPath([].concat(options.aliases ?? []).join(" ")) : [];
+    for (const part of [...path, ...aliases]) {
+      if (!COMMAND_NAME.test(part)) {
+        throw new Error(`invalid command name or alias "${part}"`);
+      }
+    }
+
+    const policy = isSchema ? options.singleInstance : undefined;
+    const singleInstance = policy === true ? "reject" : String(policy || "");
+    if (!INSTANCE_POLICIES.has(singleInstance)) {
+      throw new Error(`singleInstance must be "reject" or "restart", got "${singleInstance}"`);
+    }
+    const cooldownMs = isSchema ? Math.max(0, Number(options.cooldownMs) || 0) : 0;
+
+    let parent = null;
+    for (let index = 0; index < path.length - 1; index += 1) {
+      const [commands] = this.getLevel(parent);
+      if (!commands.has(path[index])) {
+        commands.set(path[index], this.createEntry(path.slice(0, index + 1), "", null, [], null, owner));
+      }
+      parent = commands.get(path[index]);
+    }
+
+    const key = path[path.length - 1];
+    const [commands, aliasMap] = this.getLevel(parent);
+    const previous = commands.get(key);
+    if (previous) {
+      this.dropAliases(aliasMap, previous);
+    }
+
+    const description = String((isSchema ? options.description : options) || "");
+    const entry = this.createEntry(path, description, schema, aliases, handler, owner);
+    entry.cooldownMs = cooldownMs;
+    entry.singleInstance = singleInstance;
+    // Re-registering takes over the subcommands under the old entry, including the ones other
+    // owners added that unregister() kept in a group while a script reloaded.
+    if (previous) {
+      entry.subcommands = previous.subcommands;
+      entry.subcommandAliases = previous.subcommandAliases;
+    }
+    commands.set(key, entry);
+    for (const alias of aliases) {
+      aliasMap.set(alias, key);
+    }
+  }
+
+  createEntry(path, description, schema, aliases, handler, owner) {
+    return {
+      name: path.join(" "),
+      key: path[path.length - 1],
+      description,
+      schema,
+      aliases,
+      handler,
+      owner,
+      cooldownMs: 0,
+      singleInstance: "",
+      subcommands: new Map(),
+      subcommandAliases: new Map()
+    };
+  }
+
+  dropAliases(aliasMap, cmd) {
+    for (const alias of cmd.aliases) {
+      if (aliasMap.get(alias) === cmd.key) {
+        aliasMap.delete(alias);
+      }
+    }
+  }
+
+  // With an owner, only removes the command if that owner still holds the name. Subcommands
+  // go with their parent, and groups left empty are removed too.
+  unregister(name, owner = "") {
+    const path = splitPath(name);
+    const parents = [];
+    let parent = null;
+    for (const part of path.slice(0, -1)) {
+      parent = this.getLevel(parent)[0].get(part);
+      if (!parent) {
+        return false;
+      }
+      parents.push(parent);
+    }
+
+    const [commands, aliasMap] = this.getLevel(parent);
+    const cmd = commands.get(path[path.length - 1]);
+    if (!cmd || (owner && cmd.owner !== owner)) {
+      return false;
+    }
+
+    this.dropAliases(aliasMap, cmd);
+    const removed = new Set([cmd]);
+    const kept = this.keepForeignSubcommands(cmd, removed);
+    if (kept) {
+      commands.set(cmd.key, kept);
+    } else {
+      commands.delete(cmd.key);
+    }
+    for (const state of this.sessions.values()) {
+      for (const run of state.running) {
+        if (removed.has(run.cmd)) {
+          this.cancelRun(state, run, "unloaded");
+        }
+      }
+    }
+    for (let index = parents.length - 1; index >= 0; index -= 1) {
+      const group = parents[index];
+      if (group.handler || group.subcommands.size > 0) {
+        break;
+      }
+      this.getLevel(parents[index - 1] ?? null)[0].delete(group.key);
+    }
+
+    return true;
+  }
+
+  // Subcommands other owners added to `cmd` outlive it in a plain group, which a re-register
+  // (a script reload) then takes over. Returns null when nothing is left to keep; every entry
+  // dropped along the way is added to `removed`.
+  keepForeignSubcommands(cmd, removed) {
+    const group = this.createEntry(cmd.name.split(" "), "", null, [], null, "");
+    for (const [key, sub] of cmd.subcommands) {
+      if (sub.owner !== cmd.owner) {
+        group.subcommands.set(key, sub);
+        continue;
+      }
+
+      removed.add(sub);
+      const kept = this.keepForeignSubcommands(sub, removed);
+      if (kept) {
+        group.subcommands.set(key, kept);
+      }
+    }
+    if (group.subcommands.size === 0) {
+      return null;
+    }
+
+    for (const [alias, key] of cmd.subcommandAliases) {
+      const sub = group.subcommands.get(key);
+      if (sub && sub.aliases.includes(alias)) {
+        group.subcommandAliases.set(alias, key);
+      }
+    }
+    return group;
   }
 
+  // Accepts a path ("record start") and aliases at any level.
   get(name) {
-    const key = String(name || "").trim().toLowerCase();
-    return this.commands.get(key) ?? null;
+    let cmd = null;
+    for (const part of splitPath(name)) {
+      cmd = this.findIn(cmd, part);
+      if (!cmd) {
+        return null;
+      }
+    }
+
+    return cmd;
+  }
+
+  // Closest registered names (or aliases) to the last part of `name`, as full paths.
+  suggest(name) {
+    const path = splitPath(name);
+    const parent = path.length > 1 ? this.get(path.slice(0, -1).join(" ")) : null;
+    if (path.length === 0 || (path.length > 1 && !parent)) {
+      return [];
+    }
+
+    const [commands, aliases] = this.getLevel(parent);
+    const base = parent ? `${parent.name} ` : "";
+    return closestNames(path[path.length - 1], [...commands.keys(), ...aliases.keys()])
+      .map((candidate) => `${base}${candidate}`);
+  }
+
+  // Generated from the schema and subcommands; plain commands without either have none.
+  getUsage(name) {
+    const cmd = this.get(name);
+    if (!cmd) {
+      return "";
+    }
+
+    const base = cmd.schema ? formatUsage(this.prefix, cmd.name, cmd.schema) : "";
+    if (cmd.subcommands.size === 0) {
+      return base;
+    }
+
+    const choices = [...cmd.subcommands.keys()].join("|");
+    if (!cmd.handler) {
+      return `${this.prefix}${cmd.name} <${choices}>`;
+    }
+
+    return cmd.schema && cmd.schema.params.length + cmd.schema.flags.length > 0
+      ? `${base} or ${this.prefix}${cmd.name} <${choices}>`
+      : `${this.prefix}${cmd.name} [${choices}]`;
   }
 
   getAll() {
     return [...this.commands.values()].map((cmd) => [cmd.name, cmd.description]);
   }
 
+  // Top-level command entries grouped by owning script; built-in commands have an empty owner.
+  getGroups() {
+    const groups = new Map();
+    for (const cmd of this.commands.values()) {
+      if (!groups.has(cmd.owner)) {
+        groups.set(cmd.owner, []);
+      }
+      groups.get(cmd.owner).push(cmd);
+    }
+
+    return groups;
+  }
+
+  // Plain objects for the control API and dashboard.
+  describe(level = this.commands) {
+    return [...level.values()].map((cmd) => ({
+      name: cmd.name,
+      description: cmd.description,
+      owner: cmd.owner,
+      aliases: cmd.aliases,
+      usage: this.getUsage(cmd.name),
+      subcommands: this.describe(cmd.subcommands)
+    }));
+  }
+
   isCommand(text) {
     const normalized = this.normalizeInput(text);
     return normalized.startsWith(this.prefix);
@@ -65,8 +374,8 @@ class CommandRegistry {
       return null;
     }
 
-    const rawName = String(tokens.shift() || "").toLowerCase();
-    const nameMatch = rawName.match(/^[a-z0-9_-]+/);
+    const rawName = String(tokens.shift() || "");
+    const nameMatch = rawName.toLowerCase().match(/^[a-z0-9_-]+/);
     if (!nameMatch) {
       return null;
     }
@@ -74,39 +383,235 @@ class CommandRegistry {
     const name = nameMatch[0];
     return {
       name,
-      args: tokens
+      args: tokens,
+      // Everything after the name as typed, for quote-aware parsing.
+      argText: clean.slice(rawName.length).trim()
     };
   }
 
+  // Replies go to the player when the context has a proxy session, else to the log.
+  reply(context, lines) {
+    for (const line of lines) {
+      if (typeof context?.proxy?.sendLog === "function") {
+        context.proxy.sendLog(line);
+      } else if (typeof context?.logger?.warn === "function") {
+        context.logger.warn(line.replace(/`./g, ""));
+      }
+    }
+  }
+
+  formatSuggestions(names) {
+    return names.length > 0 ? ` Did you mean ${names.map((name) => `${this.prefix}${name}`).join(", ")}?` : "";
+  }
+
+  // Follows subcommand names (or aliases) at the start of `argText` as far as they go.
+  resolve(name, argText) {
+    let cmd = this.findIn(null, name);
+    let rest = argText;
+    while (cmd && cmd.subcommands.size > 0) {
+      const match = rest.match(/^(\S+)\s*([\s\S]*)$/);
+      const sub = match ? this.findIn(cmd, match[1].toLowerCase()) : null;
+      if (!sub) {
+        break;
+      }
+      cmd = sub;
+      rest = match[2];
+    }
+
+    return { cmd, argText: rest };
+  }
+
+  // Returns true when the input was answered here, so it is not forwarded as chat.
+  handleUnknown(name, context) {
+    if (!this.swallowUnknown || this.passthrough.has(name)) {
+      return false;
+    }
+
+    const suggestions = this.formatSuggestions(this.suggest(name));
+    this.reply(context, [
+      `\`4Unknown command \`\`${this.prefix}${name}.${suggestions || ` Try ${this.prefix}proxyhelp.`}`
+    ]);
+    return true;
+  }
+
+  // The first word after a command with subcommands, when it looks like a mistyped one.
+  suggestSubcommand(cmd, argText) {
+    const typed = argText.split(/\s+/g)[0].toLowerCase();
+    return cmd.subcommands.size > 0 && typed ? this.suggest(`${cmd.name} ${typed}`) : [];
+  }
+
+  getSessionState(proxy) {
+    if (!this.sessions.has(proxy)) {
+      this.sessions.set(proxy, { running: new Set(), cooldowns: new Map() });
+    }
+
+    return this.sessions.get(proxy);
+  }
+
+  cancelRun(state, run, reason) {
+    state.running.delete(run);
+    run.controller.abort(new CommandCanceledError(`${this.prefix}${run.cmd.name} ${reason}`));
+  }
+
+  // Cancels the session's running async commands (all, or those of one command entry) and
+  // returns their names.
+  cancelRunning(proxy, cmd = null) {
+    const state = this.sessions.get(proxy ?? null);
+    if (!state) {
+      return [];
+    }
+
+    const canceled = [];
+    for (const run of state.running) {
+      if (!cmd || run.cmd === cmd) {
+        this.cancelRun(state, run, "canceled");
+        canceled.push(run.cmd.name);
+      }
+    }
+
+    return canceled;
+  }
+
+  // Called when a client session goes away, so its commands stop and its cooldowns are dropped.
+  releaseSession(proxy) {
+    const state = this.sessions.get(proxy);
+    if (!state) {
+      return;
+    }
+
+    for (const run of state.running) {
+      this.cancelRun(state, run, "stopped, client disconnected");
+    }
+    this.sessions.delete(proxy);
+  }
+
+  reportFailure(cmd, error, context) {
+    if (typeof context?.proxy?.sendLog === "function") {
+      context.proxy.sendLog(`\`4Error: \`\`${this.prefix}${cmd.name} failed: ${error.message}`);
+    }
+
+    // Script commands are logged, and counted against the script, by the script manager.
+    if (!cmd.owner && typeof context?.logger?.error === "function") {
+      context.logger.error(`Command "${cmd.name}" failed: ${error.message}`);
+    }
+  }
+
+  // Cooldown and single-instance checks; returns false (after replying) when the command may
+  // not start now.
+  admit(cmd, state, context) {
+    const remaining = (state.cooldowns.get(cmd.name) ?? 0) - Date.now();
+    if (remaining > 0) {
+      this.reply(context, [`\`4Oops: \`\`${this.prefix}${cmd.name} is on cooldown for ${(remaining / 1000).toFixed(1)}s.`]);
+      return false;
+    }
+
+    const active = [...state.running].find((run) => run.cmd === cmd);
+    if (active && cmd.singleInstance === "reject") {
+      this.reply(context, [
+        `\`4Oops: \`\`${this.prefix}${cmd.name} is already running. Use ${this.prefix}cancel to stop it.`
+      ]);
+      return false;
+    }
+
+    if (active && cmd.singleInstance === "restart") {
+      this.cancelRun(state, active, "restarted");
+    }
+
+    return true;
+  }
+
+  // Returns false when `text` is not for the proxy (it should go on to the server). Otherwise
+  // returns a promise for the run: true once the handler finished, false when the command was
+  // refused (bad arguments, cooldown, already running), failed or was canceled. It never rejects.
   execute(text, context = {}) {
     const parsed = this.parse(text);
     if (!parsed) {
       return false;
     }
 
-    const cmd = this.get(parsed.name);
+    const { cmd, argText } = this.resolve(parsed.name, parsed.argText);
     if (!cmd) {
-      return false;
+      return this.handleUnknown(parsed.name, context) ? Promise.resolve(false) : false;
     }
 
+    if (!cmd.handler) {
+      const lines = [`\`4Usage: \`\`${this.getUsage(cmd.name)}`];
+      if (argText) {
+        const typed = argText.split(/\s+/g)[0];
+        const suggestions = this.formatSuggestions(this.suggestSubcommand(cmd, argText));
+        lines.unshift(`\`4Error: \`\`Unknown subcommand '${typed}'.${suggestions}`);
+      }
+      this.reply(context, lines);
+      return Promise.resolve(false);
+    }
+
+    let values = null;
+    if (cmd.schema) {
+      try {
+        values = parseCommandArgs(cmd.schema, argText);
+      } catch (error) {
+        if (!(error instanceof CommandArgsError)) {
+          throw error;
+        }
+
+        const suggestions = this.formatSuggestions(this.suggestSubcommand(cmd, argText));
+        this.reply(context, [
+          `\`4Error: \`\`${error.message}${suggestions ? `.${suggestions}` : ""}`,
+          `\`4Usage: \`\`${this.getUsage(cmd.name)}`
+        ]);
+        return Promise.resolve(false);
+      }
+    }
+
+    const state = this.getSessionState(context.proxy ?? null);
+    if (!this.admit(cmd, state, context)) {
+      return Promise.resolve(false);
+    }
+
+    if (cmd.cooldownMs > 0) {
+      state.cooldowns.set(cmd.name, Date.now() + cmd.cooldownMs);
+    }
+
+    const run = { cmd, controller: new AbortController(), startedAt: Date.now() };
+    const { signal } = run.controller;
+    let result;
     try {
-      cmd.handler({
+      result = cmd.handler({
         ...context,
-        args: parsed.args,
+        args: values ? values.args : argText.split(/\s+/g).filter(Boolean),
+        params: values ? values.params : {},
+        flags: values ? values.flags : {},
         rawInput: text,
-        commandName: parsed.name,
-        registry: this
+        commandName: cmd.name,
+        registry: this,
+        signal,
+        sleep: (ms) => sleep(ms, signal)
       });
     } catch (error) {
-      if (typeof context?.logger?.error === "function") {
-        context.logger.error(`Command "${parsed.name}" failed: ${error.message}`);
-      }
+      this.reportFailure(cmd, error, context);
+      return Promise.resolve(false);
     }
 
-    return true;
+    // Async handlers stay tracked until they settle, for single-instance and /cancel.
+    if (result && typeof result.then === "function") {
+      state.running.add(run);
+      return result.then(() => {
+        state.running.delete(run);
+        return !signal.aborted;
+      }, (error) => {
+        state.running.delete(run);
+        if (!(error instanceof TaskCanceledError || (signal.aborted && error === signal.reason))) {
+          this.reportFailure(cmd, error, context);
+        }
+        return false;
+      });
+    }
+
+    return Promise.resolve(true);
   }
 }
 
 module.exports = {
-  CommandRegistry
+  CommandRegistry,
+  CommandCanceledError
 };
@@ -6,7 +6,8 @@ const path = require("node:path");
 const DEFAULT_CONFIG = {
   server: {
     port: 16999,
-    address: "www.growtopia1.com"
+    address: "www.growtopia1.com",
+    maxClients: 4
   },
   client: {
     gameVersion: "5.42",
@@ -22,7 +23,14 @@ const DEFAULT_CONFIG = {
     printExtra: true
   },
   command: {
-    prefix: "/"
+    prefix: "/",
+    swallowUnknown: false,
+    passthrough: [
+      "help", "msg", "r", "me", "sb", "bc", "who", "mods", "status", "time", "stats", "radio", "go",
+      "pull", "kick", "ban", "trade", "ignore", "unignore", "color", "ghost", "find", "renderworld",
+      "wave", "dance", "love", "sleep", "facepalm", "fp", "smh", "yes", "no", "omg", "idk", "shrug",
+      "furious", "rolleyes", "foldarms", "stubborn", "fold", "dab", "sassy", "cheer", "laugh", "cry"
+    ]
   },
   web: {
     port: 443,
@@ -30,10 +38,42 @@ const DEFAULT_CONFIG = {
     keyPath: "resources/key.pem",
     ignoreMaintenance: true
   },
+  api: {
+    enabled: false,
+    port: 8090,
+    token: ""
+  },
+  dashboard: {
+    enabled: false,
+    port: 8091
+  },
   scripts: {
     enabled: true,
-    path: "scripts"
-  }
+    path: "scripts",
+    watch: false,
+    maxErrors: 5,
+    disabled: []
+  },
+  hooks: {
+    budgetMs: 250,
+    slowMs: 20
+  },
+  storage: {
+    path: "data"
+  },
+  items: {
+    path: ""
+  },
+  record: {
+    enabled: false,
+    path: "captures"
+  },
+  pcap: {
+    enabled: false,
+    path: "captures"
+  },
+  rules: [],
+  macros: {}
 };
 
 function isObject(value) {
@@ -77,22 +117,54 @@ function normalizeConfig(raw) {
   if (typeof merged.command.prefix !== "string" || merged.command.prefix.length !== 1) {
     merged.command.prefix = DEFAULT_CONFIG.command.prefix;
   }
+  merged.command.swallowUnknown = merged.command.swallowUnknown === true;
+  merged.command.passthrough = Array.isArray(merged.command.passthrough)
+    ? merged.command.passthrough.map((name) => String(name).trim().toLowerCase().replace(/^\W/, "")).filter(Boolean)
+    : DEFAULT_CONFIG.command.passthrough;
 
   const serverPort = Number(merged.server.port);
   merged.server.port = Number.isInteger(serverPort) && serverPort > 0 && serverPort <= 65535
     ? serverPort
     : DEFAULT_CONFIG.server.port;
 
+  const maxClients = Number(merged.server.maxClients);
+  merged.server.maxClients = Number.isInteger(maxClients) && maxClients > 0 && maxClients <= 64
+    ? maxClients
+    : DEFAULT_CONFIG.server.maxClients;
+
   const clientLocalPort = Number(merged.client.localPort);
   merged.client.localPort = Number.isInteger(clientLocalPort) && clientLocalPort >= 0 && clientLocalPort <= 65535
     ? clientLocalPort
     : DEFAULT_CONFIG.client.localPort;
 
+  if (!Array.isArray(merged.rules)) {
+    merged.rules = [];
+  }
+
+  // name -> ";"-separated string or array of steps; see src/macros.js.
+  merged.macros = Object.fromEntries(Object.entries(isObject(merged.macros) ? merged.macros : {})
+    .filter(([name, steps]) => /^[a-z0-9_-]+$/i.test(name)
+      && (typeof steps === "string" || (Array.isArray(steps) && steps.every((step) => typeof step === "string"))))
+    .map(([name, steps]) => [name.toLowerCase(), steps]));
+
   const webPort = Number(merged.web.port);
   merged.web.port = Number.isInteger(webPort) && webPort > 0 && webPort <= 65535
     ? webPort
     : DEFAULT_CONFIG.web.port;
 
+  const apiPort = Number(merged.api.port);
+  merged.api.port = Number.isInteger(apiPort) && apiPort > 0 && apiPort <= 65535
+    ? apiPort
+    : DEFAULT_CONFIG.api.port;
+  merged.api.enabled = merged.api.enabled === true;
+  merged.api.token = typeof merged.api.token === "string" ? merged.api.token.trim() : "";
+
+  const dashboardPort = Number(merged.dashboard.port);
+  merged.dashboard.port = Number.isInteger(dashboardPort) && dashboardPort > 0 && dashboardPort <= 65535
+    ? dashboardPort
+    : DEFAULT_CONFIG.dashboard.port;
+  merged.dashboard.enabled = merged.dashboard.enabled === true;
+
   return merged;
 }
 
@@ -0,0 +1,331 @@
+"use strict";
+
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { URL } = require("node:url");
+
+const { Variant } = require("./variant");
+const { acceptWebSocket } = require("./webSocket");
+const { PacketStream } = require("./packetStream");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const VARIANT_BUILDERS = new Set(["int", "uint", "float", "vec2", "vec3", "str"]);
+const SESSION_ROUTE = /^\/api\/sessions\/(\d+)(?:\/([a-z]+))?$/;
+
+class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Hashing first lets timingSafeEqual compare tokens of any length.
+function tokensMatch(given, expected) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function readRequestToken(req, url) {
+  const header = String(req.headers.authorization || "");
+  if (header.toLowerCase().startsWith("bearer ")) {
+    return header.slice("bearer ".length).trim();
+  }
+
+  // Browsers cannot set headers on a WebSocket, so the stream also takes ?token=.
+  return url.searchParams.get("token") ?? "";
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    client: session.clientEndpoint,
+    upstream: session.upstreamEndpoint,
+    clientConnected: Boolean(session.clientPeer),
+    serverConnected: session.isServerConnected(),
+    pending: session.pendingAddress ? { address: session.pendingAddress, port: session.pendingPort } : null,
+    upstreamRetries: session.upstreamRetryCount,
+    world: session.world.getWorldName(),
+    localNetId: session.world.getLocalNetId()
+  };
+}
+
+function describeWorld(world) {
+  return {
+    name: world.getWorldName(),
+    width: world.width,
+    height: world.height,
+    localNetId: world.getLocalNetId(),
+    players: world.getPlayers(),
+    dropped: world.getDroppedItems()
+  };
+}
+
+// Plain JSON values keep the guessed variant type; { "type": "int", "value": 5 } pins it.
+function decodeVariantArg(arg) {
+  if (!arg || typeof arg !== "object" || Array.isArray(arg)) {
+    return arg;
+  }
+
+  if (!VARIANT_BUILDERS.has(arg.type)) {
+    throw new ApiError(400, `Unknown variant type ${JSON.stringify(arg.type)}`);
+  }
+
+  try {
+    return Array.isArray(arg.value) ? Variant[arg.type](...arg.value) : Variant[arg.type](arg.value);
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+}
+
+function readTarget(body) {
+  if (body.to !== "client" && body.to !== "server") {
+    throw new ApiError(400, "\"to\" must be \"client\" or \"server\"");
+  }
+
+  return body.to;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("expected a JSON object");
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new ApiError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(body);
+}
+
+// Localhost HTTP + WebSocket API for tools outside the proxy (see README "Control API").
+// Every request needs the configured token; without one, a random token is made per start.
+class ControlApi {
+  constructor(core, config, logger) {
+    this.core = core;
+    this.config = config;
+    this.logger = logger;
+    this.token = config.token || crypto.randomBytes(24).toString("hex");
+    this.server = null;
+    this.stream = new PacketStream(core);
+  }
+
+  async start() {
+    if (!this.config.token) {
+      this.logger.warn(`Control API has no api.token configured; using ${this.token} until restart`);
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        const statusCode = error instanceof ApiError ? error.statusCode : 500;
+        if (statusCode === 500) {
+          this.logger.error(`Control API ${req.method} ${req.url} failed: ${error.message}`);
+        }
+        if (!res.headersSent) {
+          sendJson(res, statusCode, { error: error.message });
+        }
+      });
+    });
+    this.server.on("upgrade", (req, socket) => this.handleUpgrade(req, socket));
+
+    await new Promise((resolve) => {
+      this.server.once("error", (error) => {
+        this.logger.error(`Control API bind failed on port ${this.config.port}: ${error.message}`);
+        resolve();
+      });
+
+      this.server.listen(this.config.port, "127.0.0.1", () => {
+        this.logger.info(`Control API listening on http://127.0.0.1:${this.config.port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    this.stream.closeAll();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  isAuthorized(req, url) {
+    return tokensMatch(readRequestToken(req, url), this.token);
+  }
+
+  getSession(id) {
+    const session = this.core.getSession(id);
+    if (!session) {
+      throw new ApiError(404, `No session ${id}`);
+    }
+
+    return session;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url || "/", "http://127.0.0.1");
+    if (!this.isAuthorized(req, url)) {
+      throw new ApiError(401, "Missing or invalid token");
+    }
+
+    const method = String(req.method || "GET").toUpperCase();
+    const route = url.pathname.replace(/\/+$/, "");
+
+    if (method === "GET" && route === "/api/sessions") {
+      sendJson(res, 200, { sessions: this.core.getSessions().map(describeSession) });
+      return;
+    }
+
+    if (method === "GET" && route === "/api/commands") {
+      const registry = this.core.commandRegistry;
+      sendJson(res, 200, { prefix: registry.prefix, commands: registry.describe() });
+      return;
+    }
+
+    const match = route.match(SESSION_ROUTE);
+    if (!match) {
+      throw new ApiError(404, `No route for ${method} ${route}`);
+    }
+
+    const session = this.getSession(match[1]);
+    const action = match[2] ?? "";
+    if (method === "GET") {
+      sendJson(res, 200, this.handleSessionGet(session, action));
+      return;
+    }
+
+    if (method === "POST") {
+      sendJson(res, 200, this.handleSessionPost(session, action, await readJsonBody(req)));
+      return;
+    }
+
+    throw new ApiError(405, `Method ${method} not allowed`);
+  }
+
+  handleSessionGet(session, action) {
+    if (action === "") {
+      return describeSession(session);
+    }
+
+    if (action === "world") {
+      return describeWorld(session.world);
+    }
+
+    if (action === "players") {
+      return { players: session.world.getPlayers() };
+    }
+
+    throw new ApiError(404, `No route for GET /api/sessions/${session.id}/${action}`);
+  }
+
+  handleSessionPost(session, action, body) {
+    if (action === "command") {
+      const registry = this.core.commandRegistry;
+      const input = String(body.input ?? "").trim();
+      if (!input) {
+        throw new ApiError(400, "\"input\" is required");
+      }
+
+      const text = input.startsWith(registry.prefix) ? input : `${registry.prefix}${input}`;
+      return { executed: registry.execute(text, { proxy: session, logger: session.logger }) !== false };
+    }
+
+    if (action === "log") {
+      return { sent: session.sendLog(String(body.message ?? "")) };
+    }
+
+    if (action === "variant") {
+      const to = readTarget(body);
+      if (typeof body.function !== "string" || !body.function) {
+        throw new ApiError(400, "\"function\" is required");
+      }
+
+      const args = (Array.isArray(body.args) ? body.args : []).map(decodeVariantArg);
+      const options = {
+        netId: body.netId,
+        targetNetId: body.targetNetId,
+        delay: body.delay,
+        channelId: body.channelId
+      };
+      return {
+        sent: to === "client"
+          ? session.sendVariantToClient(body.function, args, options)
+          : session.sendVariantToServer(body.function, args, options)
+      };
+    }
+
+    if (action === "packet") {
+      const to = readTarget(body);
+      const data = Buffer.from(String(body.data ?? ""), "base64");
+      if (data.length < 4) {
+        throw new ApiError(400, "\"data\" must be a base64 packet of at least 4 bytes");
+      }
+
+      const channelId = Number(body.channelId ?? 0);
+      return { sent: to === "client" ? session.sendToClient(data, channelId) : session.sendToServer(data, channelId) };
+    }
+
+    throw new ApiError(404, `No route for POST /api/sessions/${session.id}/${action}`);
+  }
+
+  handleUpgrade(req, socket) {
+    const url = new URL(req.url || "/", "http://127.0.0.1");
+    if (url.pathname !== "/api/stream") {
+      socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    if (!this.isAuthorized(req, url)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    const connection = acceptWebSocket(req, socket);
+    if (!connection) {
+      return;
+    }
+
+    const session = url.searchParams.get("session");
+    this.stream.add(connection, {
+      session: session === null || session === "" ? null : Number(session),
+      direction: url.searchParams.get("direction")
+    });
+  }
+}
+
+module.exports = {
+  ControlApi,
+  describeSession,
+  describeWorld
+};
@@ -0,0 +1,116 @@
+"use strict";
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *"
+};
+
+// Searching further than this means the expression cannot match (e.g. "0 0 31 2 *").
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// One field: "*", "5", "1-5", "*/15", "10-40/10" or a comma list of those.
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`invalid ${field.name} "${part}"`);
+    }
+
+    const isAll = match[1] === undefined;
+    const start = isAll ? field.min : Number(match[1]);
+    let end = start;
+    if (isAll || match[3] !== undefined) {
+      end = field.max;
+    }
+    if (match[2] !== undefined) {
+      end = Number(match[2]);
+    }
+    const step = match[3] !== undefined ? Number(match[3]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Standard five-field cron (minute hour day-of-month month day-of-week) in local time. As in
+// cron, when both day fields are restricted a day matching either one counts.
+class CronExpression {
+  constructor(expression) {
+    const text = String(expression || "").trim().toLowerCase();
+    const parts = (SHORTCUTS[text] ?? text).split(/\s+/g);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`cron expression needs 5 fields (minute hour day month weekday), got "${expression}"`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map(
+      (part, index) => parseField(part, FIELDS[index])
+    );
+    if (this.weekdays.delete(7)) {
+      this.weekdays.add(0);
+    }
+    this.anyDay = parts[2] === "*";
+    this.anyWeekday = parts[4] === "*";
+    this.expression = text;
+
+    if (!this.next(new Date())) {
+      throw new Error(`cron expression "${expression}" never matches`);
+    }
+  }
+
+  matchesDay(date) {
+    const day = this.days.has(date.getDate());
+    const weekday = this.weekdays.has(date.getDay());
+    if (this.anyDay) {
+      return weekday;
+    }
+
+    return this.anyWeekday ? day : day || weekday;
+  }
+
+  // First matching minute after `from`, or null when there is none.
+  next(from) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + SEARCH_LIMIT_MS;
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  CronExpression
+};
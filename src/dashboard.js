@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const http = require("node:http");
+const { URL } = require("node:url");
+
+const { acceptWebSocket } = require("./webSocket");
+const { PacketStream } = require("./packetStream");
+const { describeSession, describeWorld } = require("./controlApi");
+
+const PAGE_PATH = path.join(__dirname, "dashboard.html");
+const LOCAL_HOSTNAMES = new Set(["127.0.0.1", "localhost"]);
+
+// The dashboard has no token, so it only answers requests addressed to this machine: the Host
+// check stops DNS rebinding, and the Origin check stops other sites from opening the stream.
+function isLocalHost(value, port) {
+  try {
+    const url = new URL(`http://${value}`);
+    return LOCAL_HOSTNAMES.has(url.hostname) && Number(url.port || 80) === port;
+  } catch {
+    return false;
+  }
+}
+
+function isLocalOrigin(origin, port) {
+  try {
+    const url = new URL(origin);
+    return url.protocol === "http:" && isLocalHost(url.host, port);
+  } catch {
+    return false;
+  }
+}
+
+function sendJson(res, payload) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(JSON.stringify(payload));
+}
+
+// Read-only web page on 127.0.0.1:<dashboard.port> showing sessions, worlds, scripts and a
+// live packet log (see README "Dashboard"). The page polls /state and reads /stream.
+class Dashboard {
+  constructor(core, config, logger) {
+    this.core = core;
+    this.config = config;
+    this.logger = logger;
+    this.server = null;
+    this.stream = new PacketStream(core);
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on("upgrade", (req, socket) => this.handleUpgrade(req, socket));
+
+    await new Promise((resolve) => {
+      this.server.once("error", (error) => {
+        this.logger.error(`Dashboard bind failed on port ${this.config.port}: ${error.message}`);
+        resolve();
+      });
+
+      this.server.listen(this.config.port, "127.0.0.1", () => {
+        this.logger.info(`Dashboard on http://127.0.0.1:${this.config.port}/`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    this.stream.closeAll();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  getState() {
+    const { core } = this;
+    const scripts = core.scriptManager;
+    const registry = core.commandRegistry;
+
+    return {
+      proxy: {
+        port: core.config.server.port,
+        maxClients: core.config.server.maxClients,
+        upstreamPeers: core.getProxyClientPeerCount(),
+        pendingHandoffs: core.pendingEndpoints.length,
+        recording: core.recorder.isRecording() ? core.recorder.filePath : ""
+      },
+      sessions: core.getSessions().map((session) => ({
+        ...describeSession(session),
+        world: describeWorld(session.world)
+      })),
+      scripts: [
+        ...scripts.getLoadedScripts().map((file) => {
+          const record = scripts.getScript(file);
+          return { file, enabled: true, errors: record.errors, commands: [...record.commands] };
+        }),
+        ...scripts.getDisabledScripts().map((file) => ({ file, enabled: false, errors: 0, commands: [] }))
+      ],
+      prefix: registry.prefix,
+      commands: registry.describe()
+    };
+  }
+
+  handleRequest(req, res) {
+    if (!isLocalHost(req.headers.host, this.config.port)) {
+      res.statusCode = 403;
+      res.end("Forbidden");
+      return;
+    }
+
+    const route = new URL(req.url || "/", "http://127.0.0.1").pathname;
+    try {
+      if (req.method === "GET" && route === "/") {
+        res.statusCode = 200;
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        res.setHeader("Cache-Control", "no-store");
+        res.end(fs.readFileSync(PAGE_PATH));
+        return;
+      }
+
+      if (req.method === "GET" && route === "/state") {
+        sendJson(res, this.getState());
+        return;
+      }
+
+      res.statusCode = 404;
+      res.end("Not Found");
+    } catch (error) {
+      this.logger.error(`Dashboard ${req.method} ${route} failed: ${error.message}`);
+      res.statusCode = 500;
+      res.end("Internal Server Error");
+    }
+  }
+
+  handleUpgrade(req, socket) {
+    const route = new URL(req.url || "/", "http://127.0.0.1").pathname;
+    if (route !== "/stream"
+      || !isLocalHost(req.headers.host, this.config.port)
+      || !isLocalOrigin(req.headers.origin, this.config.port)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    const connection = acceptWebSocket(req, socket);
+    if (connection) {
+      this.stream.add(connection);
+    }
+  }
+}
+
+module.exports = {
+  Dashboard
+};
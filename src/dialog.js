@@ -0,0 +1,261 @@
+"use strict";
+
+// Named arguments per dialog command, in wire order. Commands not listed here still parse;
+// their element only has `type` and `args`.
+const DIALOG_ELEMENT_FIELDS = {
+  set_default_color: ["color"],
+  set_bg_color: ["r", "g", "b", "a"],
+  set_border_color: ["r", "g", "b", "a"],
+  add_label: ["size", "text", "align"],
+  add_label_with_icon: ["size", "text", "align", "itemId"],
+  add_textbox: ["text", "align"],
+  add_smalltext: ["text", "align"],
+  add_spacer: ["size"],
+  add_button: ["name", "label", "flags"],
+  add_checkbox: ["name", "label", "checked"],
+  add_text_input: ["name", "label", "value", "maxLength"],
+  add_text_input_password: ["name", "label", "value", "maxLength"],
+  add_item_picker: ["name", "label", "prompt"],
+  add_url_button: ["name", "label", "flags", "url", "prompt"],
+  embed_data: ["name", "value"],
+  add_quick_exit: [],
+  end_dialog: ["name", "cancelLabel", "okLabel"]
+};
+
+// Commands whose `name` comes back as a key in the dialog_return packet.
+const DIALOG_INPUT_TYPES = new Set([
+  "add_checkbox",
+  "add_text_input",
+  "add_text_input_password",
+  "add_item_picker",
+  "embed_data"
+]);
+
+// Keys the client adds to every dialog_return; everything else is an input value.
+const DIALOG_RETURN_KEYS = new Set(["action", "dialog_name", "buttonClicked"]);
+
+// "|" separates arguments and "\n" separates commands, and neither can be escaped.
+function sanitizeDialogArg(value) {
+  return String(value ?? "").replace(/[\r\n|]/g, " ");
+}
+
+function createElement(type, args) {
+  const element = { type, args };
+  const fields = DIALOG_ELEMENT_FIELDS[type] ?? [];
+  fields.forEach((field, index) => {
+    if (index < args.length) {
+      element[field] = args[index];
+    }
+  });
+
+  return element;
+}
+
+// Server dialogs end most lines with "|"; that trailing empty argument is not kept.
+function parseDialogLine(line) {
+  const tokens = line.split("|");
+  if (tokens.length > 1 && tokens[tokens.length - 1] === "") {
+    tokens.pop();
+  }
+
+  return createElement(tokens[0], tokens.slice(1));
+}
+
+// Builds or holds a parsed OnDialogRequest body. Builder methods return the dialog so calls
+// can be chained; toString() produces the wire text.
+class Dialog {
+  constructor(elements = []) {
+    this.elements = elements;
+  }
+
+  static parse(text) {
+    const elements = String(text ?? "")
+      .replace(/\r\n/g, "\n")
+      .split("\n")
+      .filter((line) => line.trim().length > 0)
+      .map(parseDialogLine);
+    return new Dialog(elements);
+  }
+
+  static isDialog(value) {
+    return value instanceof Dialog;
+  }
+
+  get name() {
+    return this.find("end_dialog")?.name ?? "";
+  }
+
+  find(type) {
+    return this.elements.find((element) => element.type === type) ?? null;
+  }
+
+  filter(type) {
+    return this.elements.filter((element) => element.type === type);
+  }
+
+  // Elements the client sends back on dialog_return, keyed by their `name`.
+  getInputs() {
+    return this.elements.filter((element) => DIALOG_INPUT_TYPES.has(element.type));
+  }
+
+  add(type, ...args) {
+    this.elements.push(createElement(sanitizeDialogArg(type), args.map(sanitizeDialogArg)));
+    return this;
+  }
+
+  setDefaultColor(color = "`o") {
+    return this.add("set_default_color", color);
+  }
+
+  addLabel(text, { size = "small", align = "left" } = {}) {
+    return this.add("add_label", size, text, align);
+  }
+
+  addLabelWithIcon(text, itemId, { size = "small", align = "left" } = {}) {
+    return this.add("add_label_with_icon", size, text, align, Number(itemId));
+  }
+
+  addTextbox(text, align = "left") {
+    return this.add("add_textbox", text, align);
+  }
+
+  addSmallText(text) {
+    return this.add("add_smalltext", text);
+  }
+
+  addSpacer(size = "small") {
+    return this.add("add_spacer", size);
+  }
+
+  addButton(name, label, flags = "noflags") {
+    return this.add("add_button", name, label, flags, 0, 0);
+  }
+
+  addCheckbox(name, label, checked = false) {
+    return this.add("add_checkbox", name, label, checked ? 1 : 0);
+  }
+
+  addTextInput(name, label, value = "", maxLength = 32) {
+    return this.add("add_text_input", name, label, value, Number(maxLength));
+  }
+
+  addItemPicker(name, label, prompt = "") {
+    return this.add("add_item_picker", name, label, prompt);
+  }
+
+  embedData(name, value) {
+    return this.add("embed_data", name, value);
+  }
+
+  addQuickExit() {
+    return this.add("add_quick_exit");
+  }
+
+  endDialog(name, cancelLabel = "Cancel", okLabel = "OK") {
+    return this.add("end_dialog", name, cancelLabel, okLabel);
+  }
+
+  toString() {
+    return this.elements
+      .map((element) => (element.args.length > 0 ? `${element.type}|${element.args.join("|")}|` : `${element.type}|`))
+      .join("\n");
+  }
+}
+
+// Reads a server-bound dialog_return text packet into { name, button, fields }. Checkbox
+// values arrive as "0"/"1"; every value stays a string.
+function parseDialogReturn(parsed) {
+  if (!parsed || parsed.kind !== "text" || !parsed.parser) {
+    return null;
+  }
+
+  const { parser } = parsed;
+  if (parser.get("action") !== "dialog_return") {
+    return null;
+  }
+
+  const fields = {};
+  for (const [key, values] of parser.getEntries()) {
+    if (DIALOG_RETURN_KEYS.has(key)) {
+      continue;
+    }
+
+    // Values such as "itemID|2|" keep their inner pipes; the trailing one is dropped.
+    const trimmed = values[values.length - 1] === "" ? values.slice(0, -1) : values;
+    fields[key] = trimmed.join("|");
+  }
+
+  return {
+    name: parser.get("dialog_name"),
+    button: parser.get("buttonClicked"),
+    fields
+  };
+}
+
+function dialogKey(name, scope) {
+  return `${scope}\n${name}`;
+}
+
+// Handlers for dialogs the proxy showed itself, keyed by dialog name within a scope (the
+// client session that shows it). A handler is removed once its dialog is answered; closing a
+// dialog without a button sends nothing, so entries can also be replaced by showing the same
+// name again, or dropped per owner or scope.
+class DialogRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  register(name, handler, owner = "", scope = "") {
+    const key = String(name || "");
+    if (!key || typeof handler !== "function") {
+      return false;
+    }
+
+    this.handlers.set(dialogKey(key, scope), { name: key, handler, owner, scope });
+    return true;
+  }
+
+  has(name, scope = "") {
+    return this.handlers.has(dialogKey(String(name || ""), scope));
+  }
+
+  take(name, scope = "") {
+    const key = dialogKey(String(name || ""), scope);
+    const entry = this.handlers.get(key) ?? null;
+    this.handlers.delete(key);
+    return entry;
+  }
+
+  removeByOwner(owner) {
+    let removed = 0;
+    for (const [key, entry] of this.handlers) {
+      if (entry.owner === owner) {
+        this.handlers.delete(key);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+
+  // Without a scope, drops every handler.
+  clear(scope) {
+    if (scope === undefined) {
+      this.handlers.clear();
+      return;
+    }
+
+    for (const [key, entry] of this.handlers) {
+      if (entry.scope === scope) {
+        this.handlers.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  DIALOG_ELEMENT_FIELDS,
+  Dialog,
+  DialogRegistry,
+  parseDialogReturn
+};
@@ -0,0 +1,235 @@
+"use strict";
+
+function isThenable(value) {
+  return value !== null && typeof value === "object" && typeof value.then === "function";
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+function elapsedMs(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e6;
+}
+
+// Filters only apply to packet events; lifecycle payloads have no `parsed` field.
+function matchesFilter(filter, context) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.direction && !filter.direction.includes(context?.direction)) {
+    return false;
+  }
+
+  const parsed = context?.parsed;
+  if (filter.packetId && !filter.packetId.includes(parsed?.packetId)) {
+    return false;
+  }
+
+  if (filter.variant && !filter.variant.includes(parsed?.variantFunction)) {
+    return false;
+  }
+
+  return true;
+}
+
+function normalizeFilter(filter) {
+  if (!filter || typeof filter !== "object") {
+    return null;
+  }
+
+  return {
+    direction: toList(filter.direction),
+    packetId: toList(filter.packetId),
+    variant: toList(filter.variant)
+  };
+}
+
+// Fields a late hook could still set after the event went on without it.
+const FINAL_FIELDS = ["canceled", "raw", "parsed"];
+
+// Once the budget runs out the event goes on without the late hook. Its writes to the fields
+// above are ignored (reported once through `onLateWrite`) instead of throwing, so a hook that
+// is only slow is not counted as failing; `finalized` lets a hook check first.
+function finalizeContext(context, onLateWrite) {
+  if (context === null || typeof context !== "object" || context.finalized) {
+    return;
+  }
+
+  let reported = false;
+  for (const field of FINAL_FIELDS.filter((name) => name in context)) {
+    const value = context[field];
+    Object.defineProperty(context, field, {
+      enumerable: true,
+      get: () => value,
+      set: () => {
+        if (!reported) {
+          reported = true;
+          onLateWrite(field);
+        }
+      }
+    });
+  }
+  context.finalized = true;
+}
+
+// Ordered hook runner for script events. Hooks run one after another by descending priority
+// (registration order breaks ties). Runs stay synchronous until a hook returns a promise;
+// from there the remaining hooks are awaited in turn, bounded by the time budget.
+class HookPipeline {
+  constructor(config = {}, logger = console) {
+    this.config = {
+      budgetMs: Number(config.budgetMs ?? 250),
+      slowMs: Number(config.slowMs ?? 20)
+    };
+    this.logger = logger;
+    this.hooks = new Map();
+    this.nextOrder = 0;
+  }
+
+  on(eventName, handler, options = {}) {
+    if (typeof handler !== "function") {
+      return null;
+    }
+
+    const hook = {
+      eventName,
+      handler,
+      priority: Number(options.priority) || 0,
+      filter: normalizeFilter(options.filter),
+      label: String(options.label || handler.name || "anonymous"),
+      order: this.nextOrder
+    };
+    this.nextOrder += 1;
+
+    const list = this.hooks.get(eventName) ?? [];
+    list.push(hook);
+    list.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    this.hooks.set(eventName, list);
+    return hook;
+  }
+
+  off(eventName, handler) {
+    const list = this.hooks.get(eventName);
+    if (!list) {
+      return false;
+    }
+
+    const index = list.findIndex((hook) => hook === handler || hook.handler === handler);
+    if (index < 0) {
+      return false;
+    }
+
+    list.splice(index, 1);
+    return true;
+  }
+
+  listenerCount(eventName) {
+    return this.hooks.get(eventName)?.length ?? 0;
+  }
+
+  reportTiming(eventName, hook, ms) {
+    if (ms >= this.config.slowMs) {
+      this.logger.warn(`Slow hook ${hook.label} on "${eventName}": ${ms.toFixed(1)}ms`);
+      return;
+    }
+
+    this.logger.trace(`Hook ${hook.label} on "${eventName}": ${ms.toFixed(2)}ms`);
+  }
+
+  callHook(eventName, hook, context) {
+    try {
+      return hook.handler(context);
+    } catch (error) {
+      this.logger.error(`Hook ${hook.label} on "${eventName}" failed: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // Returns undefined when every hook finished synchronously, otherwise a promise that settles
+  // once the remaining hooks are done or the budget runs out. It never rejects.
+  run(eventName, context) {
+    // Copied so hooks added or removed while running do not shift the iteration.
+    const hooks = [...(this.hooks.get(eventName) ?? [])];
+    const startedAt = process.hrtime.bigint();
+
+    for (let index = 0; index < hooks.length; index += 1) {
+      const hook = hooks[index];
+      if (!matchesFilter(hook.filter, context)) {
+        continue;
+      }
+
+      const hookStartedAt = process.hrtime.bigint();
+      const result = this.callHook(eventName, hook, context);
+      if (isThenable(result)) {
+        return this.runAsync(eventName, context, hooks, index, result, startedAt, hookStartedAt);
+      }
+
+      this.reportTiming(eventName, hook, elapsedMs(hookStartedAt));
+    }
+
+    return undefined;
+  }
+
+  async runAsync(eventName, context, hooks, index, pending, startedAt, hookStartedAt) {
+    let result = pending;
+    for (let current = index; current < hooks.length; current += 1) {
+      const hook = hooks[current];
+      if (current > index) {
+        if (!matchesFilter(hook.filter, context)) {
+          continue;
+        }
+
+        hookStartedAt = process.hrtime.bigint();
+        result = this.callHook(eventName, hook, context);
+      }
+
+      if (isThenable(result)) {
+        const remainingMs = this.config.budgetMs - elapsedMs(startedAt);
+        // eslint-disable-next-line no-await-in-loop
+        const finished = await this.awaitWithin(result, remainingMs, eventName, hook);
+        if (!finished) {
+          const skipped = hooks.slice(current + 1).filter((later) => matchesFilter(later.filter, context)).length;
+          this.logger.warn(
+            `Hook ${hook.label} on "${eventName}" exceeded the ${this.config.budgetMs}ms budget `
+            + `after ${elapsedMs(hookStartedAt).toFixed(1)}ms; continuing without it, later changes `
+            + "it makes to the event are ignored"
+            + (skipped > 0 ? ` (${skipped} later hooks skipped)` : "")
+          );
+          finalizeContext(context, (field) => this.logger.warn(
+            `Hook ${hook.label} on "${eventName}" set ${field} after the budget ran out; ignored`
+          ));
+          return;
+        }
+      }
+
+      this.reportTiming(eventName, hook, elapsedMs(hookStartedAt));
+    }
+  }
+
+  awaitWithin(promise, timeoutMs, eventName, hook) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+      Promise.resolve(promise).then(
+        () => {
+          clearTimeout(timer);
+          resolve(true);
+        },
+        (error) => {
+          clearTimeout(timer);
+          this.logger.error(`Hook ${hook.label} on "${eventName}" failed: ${error?.message ?? error}`);
+          resolve(true);
+        }
+      );
+    });
+  }
+}
+
+module.exports = {
+  HookPipeline
+};
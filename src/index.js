@@ -37,6 +37,24 @@ async function resolveRuntimePorts(config, logger) {
       `Cannot bind HTTPS port ${config.web.port}. Stop the process using it or change config.web.port.`
     );
   }
+
+  if (config.api.enabled) {
+    const apiPortAvailable = await checkTcpPortAvailable(config.api.port, "127.0.0.1");
+    if (!apiPortAvailable) {
+      throw new Error(
+        `Cannot bind control API port ${config.api.port}. Stop the process using it or change config.api.port.`
+      );
+    }
+  }
+
+  if (config.dashboard.enabled) {
+    const dashboardPortAvailable = await checkTcpPortAvailable(config.dashboard.port, "127.0.0.1");
+    if (!dashboardPortAvailable) {
+      throw new Error(
+        `Cannot bind dashboard port ${config.dashboard.port}. Stop the process using it or change config.dashboard.port.`
+      );
+    }
+  }
 }
 
 async function main() {
@@ -48,7 +66,7 @@ async function main() {
   checkGrowtopiaHostMappings(logger, config);
   await resolveRuntimePorts(config, logger);
 
-  const proxy = new ProxyCore(config, logger);
+  const proxy = new ProxyCore(config, logger, { configPath });
 
   const stop = () => {
     logger.info("Stopping proxy...");
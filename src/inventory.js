@@ -0,0 +1,152 @@
+"use strict";
+
+const { BinaryReader } = require("./binaryReader");
+
+const INVENTORY_ITEM_FLAG = {
+  EQUIPPED: 0x1
+};
+
+const MAX_STACK_AMOUNT = 0xff;
+
+function parseInventoryState(extraBuffer) {
+  if (!Buffer.isBuffer(extraBuffer) || extraBuffer.length < 7) {
+    return null;
+  }
+
+  try {
+    const reader = new BinaryReader(extraBuffer);
+    const version = reader.u8();
+    const slotCount = reader.u32();
+    const itemCount = reader.u16();
+    const items = [];
+    for (let i = 0; i < itemCount; i += 1) {
+      const itemId = reader.u16();
+      const amount = reader.u8();
+      const flags = reader.u8();
+      items.push({
+        itemId,
+        amount,
+        flags,
+        equipped: Boolean(flags & INVENTORY_ITEM_FLAG.EQUIPPED)
+      });
+    }
+
+    return { version, slotCount, items };
+  } catch {
+    return null;
+  }
+}
+
+class Inventory {
+  constructor(options = {}) {
+    this.items = options.items ?? null;
+    this.clear();
+  }
+
+  clear() {
+    this.slotCount = 0;
+    this.entries = new Map();
+    this.loaded = false;
+  }
+
+  load(state) {
+    if (!state) {
+      return;
+    }
+
+    this.clear();
+    this.slotCount = state.slotCount;
+    for (const entry of state.items) {
+      this.entries.set(entry.itemId, { ...entry });
+    }
+    this.loaded = true;
+  }
+
+  isLoaded() {
+    return this.loaded;
+  }
+
+  get(itemId) {
+    return this.entries.get(Number(itemId)) ?? null;
+  }
+
+  getAmount(itemId) {
+    return this.get(itemId)?.amount ?? 0;
+  }
+
+  has(itemId, amount = 1) {
+    return this.getAmount(itemId) >= amount;
+  }
+
+  isEquipped(itemId) {
+    return Boolean(this.get(itemId)?.equipped);
+  }
+
+  getItems() {
+    return [...this.entries.values()];
+  }
+
+  getUsedSlots() {
+    return this.entries.size;
+  }
+
+  add(itemId, amount = 1) {
+    const id = Number(itemId);
+    const count = Number(amount);
+    if (!Number.isInteger(id) || !Number.isInteger(count) || count <= 0) {
+      return;
+    }
+
+    const entry = this.entries.get(id);
+    if (entry) {
+      entry.amount = Math.min(MAX_STACK_AMOUNT, entry.amount + count);
+      return;
+    }
+
+    this.entries.set(id, {
+      itemId: id,
+      amount: Math.min(MAX_STACK_AMOUNT, count),
+      flags: 0,
+      equipped: false
+    });
+  }
+
+  remove(itemId, amount = 1) {
+    const entry = this.entries.get(Number(itemId));
+    const count = Number(amount);
+    if (!entry || !Number.isInteger(count) || count <= 0) {
+      return;
+    }
+
+    entry.amount -= count;
+    if (entry.amount <= 0) {
+      this.entries.delete(entry.itemId);
+    }
+  }
+
+  setEquipped(itemId, equipped) {
+    const entry = this.entries.get(Number(itemId));
+    if (!entry) {
+      return;
+    }
+
+    entry.equipped = Boolean(equipped);
+    entry.flags = entry.equipped
+      ? entry.flags | INVENTORY_ITEM_FLAG.EQUIPPED
+      : entry.flags & ~INVENTORY_ITEM_FLAG.EQUIPPED;
+  }
+
+  formatItem(itemId) {
+    return this.items ? this.items.format(itemId) : String(itemId);
+  }
+
+  describe() {
+    return this.getItems().map((entry) => `${this.formatItem(entry.itemId)} x${entry.amount}${entry.equipped ? " (worn)" : ""}`);
+  }
+}
+
+module.exports = {
+  INVENTORY_ITEM_FLAG,
+  Inventory,
+  parseInventoryState
+};
@@ -0,0 +1,308 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { BinaryReader } = require("./binaryReader");
+
+const ITEM_NAME_KEY = "PBG892FXX982ABC*";
+const LATEST_KNOWN_VERSION = 22;
+
+const ITEM_TYPE = {
+  FIST: 0,
+  WRENCH: 1,
+  USER_DOOR: 2,
+  LOCK: 3,
+  GEMS: 4,
+  TREASURE: 5,
+  DEADLY_BLOCK: 6,
+  TRAMPOLINE: 7,
+  CONSUMABLE: 8,
+  GATEWAY: 9,
+  SIGN: 10,
+  SFX_FOREGROUND: 11,
+  BOOMBOX: 12,
+  DOOR: 13,
+  PLATFORM: 14,
+  BEDROCK: 15,
+  LAVA: 16,
+  FOREGROUND: 17,
+  BACKGROUND: 18,
+  SEED: 19,
+  CLOTHES: 20,
+  ANIMATED_FOREGROUND: 21,
+  SFX_BACKGROUND: 22,
+  ART_WALL: 23,
+  BOUNCY: 24,
+  POINTY: 25,
+  PORTAL: 26,
+  CHECKPOINT: 27,
+  SHEET_MUSIC: 28,
+  ICE: 29,
+  SWITCHEROO: 31,
+  CHEST: 32,
+  MAILBOX: 33,
+  BULLETIN: 34,
+  PINATA: 35,
+  DICE: 36,
+  COMPONENT: 37,
+  PROVIDER: 38,
+  LAB: 39,
+  ACHIEVEMENT: 40,
+  WEATHER_MACHINE: 41,
+  SCOREBOARD: 42,
+  SUNGATE: 43,
+  PROFILE: 44,
+  DEADLY_IF_ON: 45,
+  HEART_MONITOR: 46,
+  DONATION_BOX: 47,
+  TOYBOX: 48,
+  MANNEQUIN: 49,
+  SECURITY_CAMERA: 50,
+  MAGIC_EGG: 51,
+  GAME_RESOURCE: 52,
+  GAME_GENERATOR: 53,
+  XENONITE: 54,
+  DRESSUP: 55,
+  CRYSTAL: 56,
+  BURGLAR: 57,
+  COMPACTOR: 58,
+  SPOTLIGHT: 59,
+  WIND: 60,
+  DISPLAY_BLOCK: 61,
+  VENDING: 62
+};
+
+const BACKGROUND_TYPES = new Set([
+  ITEM_TYPE.BACKGROUND,
+  ITEM_TYPE.SFX_BACKGROUND,
+  ITEM_TYPE.SHEET_MUSIC
+]);
+
+const CLOTHING_SLOT = {
+  0: "hat",
+  1: "shirt",
+  2: "pants",
+  3: "feet",
+  4: "face",
+  5: "hand",
+  6: "back",
+  7: "hair",
+  8: "chest",
+  9: "ances"
+};
+
+function readItemName(reader, itemId, version) {
+  const length = reader.u16();
+  const raw = reader.bytes(length);
+  if (version < 3) {
+    return raw.toString("latin1");
+  }
+
+  let out = "";
+  for (let i = 0; i < raw.length; i += 1) {
+    out += String.fromCharCode(raw[i] ^ ITEM_NAME_KEY.charCodeAt((itemId + i) % ITEM_NAME_KEY.length));
+  }
+  return out;
+}
+
+function readItem(reader, version) {
+  const id = reader.i32();
+  const item = {
+    id,
+    editableType: reader.u8(),
+    category: reader.u8(),
+    type: reader.u8(),
+    materialType: reader.u8(),
+    name: readItemName(reader, id, version),
+    texture: reader.string16(),
+    textureHash: reader.i32(),
+    visualEffectType: reader.u8(),
+    flags2: reader.i32(),
+    textureX: reader.u8(),
+    textureY: reader.u8(),
+    spreadType: reader.u8(),
+    isStripeyWallpaper: reader.u8(),
+    collisionType: reader.u8(),
+    breakHits: reader.u8() / 6,
+    resetStateAfter: reader.i32(),
+    clothingType: reader.u8(),
+    rarity: reader.u16(),
+    maxAmount: reader.u8(),
+    extraFile: reader.string16(),
+    extraFileHash: reader.i32(),
+    audioVolume: reader.i32(),
+    petName: reader.string16(),
+    petPrefix: reader.string16(),
+    petSuffix: reader.string16(),
+    petAbility: reader.string16(),
+    seedBase: reader.u8(),
+    seedOverlay: reader.u8(),
+    treeBase: reader.u8(),
+    treeLeaves: reader.u8(),
+    seedColor: reader.u32(),
+    seedOverlayColor: reader.u32(),
+    ingredient: reader.i32(),
+    growTime: reader.i32(),
+    flags3: reader.u16(),
+    isRayman: reader.u16(),
+    extraOptions: reader.string16(),
+    texture2: reader.string16(),
+    extraOptions2: reader.string16(),
+    punchOptions: "",
+    itemRenderer: "",
+    description: ""
+  };
+
+  reader.skip(80);
+
+  if (version >= 11) {
+    item.punchOptions = reader.string16();
+  }
+  if (version >= 12) {
+    reader.skip(13);
+  }
+  if (version >= 13) {
+    reader.skip(4);
+  }
+  if (version >= 14) {
+    reader.skip(4);
+  }
+  if (version >= 15) {
+    reader.skip(25);
+    reader.string16();
+  }
+  if (version >= 16) {
+    item.itemRenderer = reader.string16();
+  }
+  if (version >= 17) {
+    reader.skip(4);
+  }
+  if (version >= 18) {
+    reader.skip(4);
+  }
+  if (version >= 19) {
+    reader.skip(9);
+  }
+  if (version >= 21) {
+    reader.skip(2);
+  }
+  if (version >= 22) {
+    item.description = reader.string16();
+  }
+
+  return item;
+}
+
+function parseItemsDat(buffer) {
+  const reader = new BinaryReader(buffer);
+  const version = reader.u16();
+  const count = reader.i32();
+  const items = [];
+
+  for (let i = 0; i < count; i += 1) {
+    items.push(readItem(reader, version));
+  }
+
+  return {
+    version,
+    items
+  };
+}
+
+class ItemDatabase {
+  constructor(logger = console) {
+    this.logger = logger;
+    this.version = 0;
+    this.items = new Map();
+    this.filePath = "";
+  }
+
+  load(filePath) {
+    if (!filePath) {
+      return false;
+    }
+
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      this.logger.warn(`items.dat not found at "${resolved}". Item names are unavailable.`);
+      return false;
+    }
+
+    try {
+      const parsed = parseItemsDat(fs.readFileSync(resolved));
+      if (parsed.version > LATEST_KNOWN_VERSION) {
+        this.logger.warn(
+          `items.dat version ${parsed.version} is newer than ${LATEST_KNOWN_VERSION}; decoded with the latest known layout.`
+        );
+      }
+
+      this.version = parsed.version;
+      this.items = new Map(parsed.items.map((item) => [item.id, item]));
+      this.filePath = resolved;
+      this.logger.info(`Loaded ${this.items.size} items from items.dat v${this.version}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to parse items.dat at "${resolved}": ${error.message}`);
+      return false;
+    }
+  }
+
+  isLoaded() {
+    return this.items.size > 0;
+  }
+
+  get(itemId) {
+    return this.items.get(Number(itemId)) ?? null;
+  }
+
+  getName(itemId) {
+    return this.get(itemId)?.name ?? "";
+  }
+
+  getClothingSlot(itemId) {
+    const item = this.get(itemId);
+    if (!item || item.type !== ITEM_TYPE.CLOTHES) {
+      return "";
+    }
+
+    return CLOTHING_SLOT[item.clothingType] ?? "";
+  }
+
+  isBackground(itemId) {
+    const item = this.get(itemId);
+    return Boolean(item) && BACKGROUND_TYPES.has(item.type);
+  }
+
+  // "Dirt (2)" when the item is known, "2" otherwise.
+  format(itemId) {
+    const name = this.getName(itemId);
+    return name ? `${name} (${itemId})` : String(itemId);
+  }
+
+  search(query, limit = 20) {
+    const needle = String(query || "").trim().toLowerCase();
+    if (!needle) {
+      return [];
+    }
+
+    const exact = [];
+    const partial = [];
+    for (const item of this.items.values()) {
+      const name = item.name.toLowerCase();
+      if (name === needle) {
+        exact.push(item);
+      } else if (name.includes(needle)) {
+        partial.push(item);
+      }
+    }
+
+    return [...exact, ...partial].slice(0, Math.max(0, limit));
+  }
+}
+
+module.exports = {
+  ITEM_TYPE,
+  CLOTHING_SLOT,
+  ItemDatabase,
+  parseItemsDat
+};
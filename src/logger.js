@@ -82,6 +82,20 @@ function createLogger(level = "info") {
   };
 }
 
+// Same logger with a fixed tag in front of every message, e.g. "[client 0]".
+function createPrefixedLogger(logger, prefix) {
+  const wrap = (method) => (message, ...args) => logger[method](`${prefix} ${message}`, ...args);
+  return {
+    level: logger.level,
+    error: wrap("error"),
+    warn: wrap("warn"),
+    info: wrap("info"),
+    debug: wrap("debug"),
+    trace: wrap("trace")
+  };
+}
+
 module.exports = {
-  createLogger
+  createLogger,
+  createPrefixedLogger
 };
@@ -0,0 +1,163 @@
+"use strict";
+
+const { TaskCanceledError } = require("./taskScheduler");
+
+// Nested "/macro run" calls beyond this are refused, so a macro cannot call itself forever.
+const MACRO_DEPTH_LIMIT = 4;
+const WAIT_STEP = /^wait\s+(\d+(?:\.\d+)?)(ms|s)?$/i;
+const PLACEHOLDER = /\$(\$|\*|[1-9])/g;
+
+// A config macro is a ";"-separated string ("\;" for a literal semicolon) or an array of steps.
+function getMacroSteps(definition) {
+  if (Array.isArray(definition)) {
+    return definition.map((step) => String(step).trim()).filter(Boolean);
+  }
+
+  return String(definition || "")
+    .split(/(?<!\\);/g)
+    .map((step) => step.replace(/\\;/g, ";").trim())
+    .filter(Boolean);
+}
+
+// Highest $N used, so missing arguments are caught before any step runs.
+function countMacroParams(steps) {
+  let count = 0;
+  for (const step of steps) {
+    for (const [, key] of step.matchAll(PLACEHOLDER)) {
+      if (/\d/.test(key)) {
+        count = Math.max(count, Number(key));
+      }
+    }
+  }
+
+  return count;
+}
+
+function expandStep(step, args) {
+  return step.replace(PLACEHOLDER, (match, key) => {
+    if (key === "$") {
+      return "$";
+    }
+
+    return key === "*" ? args.join(" ") : args[Number(key) - 1] ?? "";
+  });
+}
+
+// "wait 1500", "wait 1500ms" or "wait 1.5s"; -1 for any other step.
+function parseWaitStep(step) {
+  const match = step.match(WAIT_STEP);
+  if (!match) {
+    return -1;
+  }
+
+  return Math.round(Number(match[1]) * (match[2]?.toLowerCase() === "s" ? 1000 : 1));
+}
+
+// Running macros per session, so "/macro stop" can find them.
+const activeRuns = new WeakMap();
+let nextRunId = 1;
+
+// Each run gets its own tag, so running a macro again never drops the steps of a run in progress.
+function getMacroTag(name, runId) {
+  return `macro:${name || "chain"}#${runId}`;
+}
+
+function getActiveRuns(session) {
+  if (!activeRuns.has(session)) {
+    activeRuns.set(session, new Set());
+  }
+
+  return activeRuns.get(session);
+}
+
+// Stops the session's running macros (all, or those named `name`) after the step in progress
+// and returns their names, "" for inline chains.
+function stopMacros(session, name = null) {
+  const stopped = [];
+  for (const run of activeRuns.get(session) ?? []) {
+    if (!run.stopped && (name === null || run.name === name)) {
+      run.stopped = true;
+      session.scheduler.cancelByTag(run.tag);
+      stopped.push(run.name);
+    }
+  }
+
+  return stopped;
+}
+
+// Runs steps in order for one session. Each step is handled as if the player typed it:
+// registered commands go through the registry and are awaited (a warp finishes before the next
+// step), anything else (game commands, plain text) is sent as chat. Waits sleep on the session
+// scheduler under the run's tag. Resolves true when every step ran, false when the run was
+// stopped (stopMacros(), `signal`, a canceled wait) or a command step was refused or failed.
+// `parent` is the run whose step started this one; only the innermost failed run says where it
+// stopped.
+async function runMacro(session, registry, steps, { name = "", depth = 0, signal = null, parent = null }) {
+  const run = { name, tag: getMacroTag(name, nextRunId), stopped: false, reported: false };
+  nextRunId += 1;
+  const runs = getActiveRuns(session);
+  runs.add(run);
+  signal?.addEventListener("abort", () => {
+    run.stopped = true;
+    session.scheduler.cancelByTag(run.tag);
+  }, { once: true });
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      if (run.stopped) {
+        return false;
+      }
+
+      const waitMs = parseWaitStep(step);
+      if (waitMs >= 0) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await session.scheduler.sleep(waitMs, run.tag);
+        } catch (error) {
+          if (error instanceof TaskCanceledError) {
+            return false;
+          }
+          throw error;
+        }
+        continue;
+      }
+
+      const pending = registry.execute(step, {
+        proxy: session,
+        logger: session.logger,
+        macroDepth: depth + 1,
+        macroRun: run
+      });
+      if (pending === false) {
+        session.sendChat(step);
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await pending) && !run.stopped) {
+        if (!run.reported) {
+          session.sendLog(`\`4Oops: \`\`Macro \`2${name || "chain"}\`\` stopped at step ${index + 1} (${step}).`);
+        }
+        if (parent) {
+          parent.reported = true;
+        }
+        return false;
+      }
+    }
+
+    return !run.stopped;
+  } finally {
+    runs.delete(run);
+  }
+}
+
+module.exports = {
+  MACRO_DEPTH_LIMIT,
+  getMacroSteps,
+  countMacroParams,
+  expandStep,
+  parseWaitStep,
+  getMacroTag,
+  stopMacros,
+  runMacro
+};
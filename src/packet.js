@@ -1,6 +1,13 @@
 "use strict";
 
 const { TextParse } = require("./textParse");
+const {
+  VARIANT_TYPE,
+  UINT32_MAX,
+  INT32_MIN,
+  INT32_MAX,
+  Variant
+} = require("./variant");
 
 const NET_MESSAGE = {
   UNKNOWN: 0,
@@ -11,22 +18,102 @@ const NET_MESSAGE = {
 };
 
 const GAME_PACKET = {
+  STATE: 0,
   CALL_FUNCTION: 1,
-  DISCONNECT: 26
+  UPDATE_STATUS: 2,
+  TILE_CHANGE_REQUEST: 3,
+  SEND_MAP_DATA: 4,
+  SEND_TILE_UPDATE_DATA: 5,
+  SEND_TILE_UPDATE_DATA_MULTIPLE: 6,
+  TILE_ACTIVATE_REQUEST: 7,
+  TILE_APPLY_DAMAGE: 8,
+  SEND_INVENTORY_STATE: 9,
+  ITEM_ACTIVATE_REQUEST: 10,
+  ITEM_ACTIVATE_OBJECT_REQUEST: 11,
+  SEND_TILE_TREE_STATE: 12,
+  MODIFY_ITEM_INVENTORY: 13,
+  ITEM_CHANGE_OBJECT: 14,
+  SEND_LOCK: 15,
+  SEND_ITEM_DATABASE_DATA: 16,
+  SEND_PARTICLE_EFFECT: 17,
+  SET_ICON_STATE: 18,
+  ITEM_EFFECT: 19,
+  SET_CHARACTER_STATE: 20,
+  PING_REPLY: 21,
+  PING_REQUEST: 22,
+  GOT_PUNCHED: 23,
+  APP_CHECK_RESPONSE: 24,
+  APP_INTEGRITY_FAIL: 25,
+  DISCONNECT: 26,
+  BATTLE_JOIN: 27,
+  BATTLE_EVENT: 28,
+  USE_DOOR: 29,
+  SEND_PARENTAL: 30,
+  GONE_FISHIN: 31,
+  STEAM: 32,
+  PET_BATTLE: 33,
+  NPC: 34,
+  SPECIAL: 35,
+  SEND_PARTICLE_EFFECT_V2: 36,
+  ACTIVE_ARROW_TO_ITEM: 37,
+  SELECT_TILE_INDEX: 38,
+  SEND_PLAYER_TRIBUTE_DATA: 39,
+  FTUE_SET_ITEM_TO_QUICK_INVENTORY: 40,
+  PVE_NPC: 41,
+  PVP_CARD_BATTLE: 42,
+  PVE_APPLY_PLAYER_DAMAGE: 43,
+  PVE_NPC_POSITION_UPDATE: 44,
+  SET_EXTRA_MODS: 45,
+  ON_STEP_TILE_MOD: 46
 };
 
-const VARIANT_TYPE = {
-  FLOAT: 1,
-  STRING: 2,
-  VEC2: 3,
-  VEC3: 4,
-  UNSIGNED: 5,
-  SIGNED: 9
+// Bit flags carried in the tank header "state" field (offset 16).
+const TANK_FLAG = {
+  NONE: 0,
+  UNK_1: 0x1,
+  RESET_VISUAL_STATE: 0x2,
+  EXTENDED: 0x8,
+  FACING_LEFT: 0x10,
+  ON_SOLID: 0x20,
+  ON_FIRE_DAMAGE: 0x40,
+  ON_JUMP: 0x80,
+  ON_KILLED: 0x100,
+  ON_PUNCHED: 0x200,
+  ON_PLACED: 0x400,
+  ON_TILE_ACTION: 0x800,
+  ON_GOT_PUNCHED: 0x1000,
+  ON_RESPAWNED: 0x2000,
+  ON_COLLECT_OBJECT: 0x4000,
+  ON_TRAMPOLINE: 0x8000,
+  ON_DAMAGE: 0x10000,
+  ON_SLIDE: 0x20000,
+  ON_WALL_HANG: 0x200000,
+  ON_ACID_DAMAGE: 0x4000000
 };
 
-const UINT32_MAX = 0xffffffff;
-const INT32_MIN = -0x80000000;
-const INT32_MAX = 0x7fffffff;
+const TANK_HEADER_SIZE = 60;
+
+// Byte offsets inside the 60-byte tank header, including the leading message type.
+const TANK_OFFSET = {
+  MESSAGE_TYPE: 0,
+  PACKET_TYPE: 4,
+  OBJECT_TYPE: 5,
+  JUMP_COUNT: 6,
+  ANIMATION_TYPE: 7,
+  NET_ID: 8,
+  TARGET_NET_ID: 12,
+  STATE: 16,
+  FLOAT_VAR: 20,
+  INFO: 24,
+  POS_X: 28,
+  POS_Y: 32,
+  SPEED_X: 36,
+  SPEED_Y: 40,
+  PARTICLE_ROTATION: 44,
+  INT_X: 48,
+  INT_Y: 52,
+  DATA_SIZE: 56
+};
 
 const PacketId = {
   ServerHello: "ServerHello",
@@ -36,12 +123,68 @@ const PacketId = {
   ValidateWorld: "ValidateWorld",
   Input: "Input",
   Log: "Log",
+  DialogReturn: "DialogReturn",
+  Drop: "Drop",
+  Trash: "Trash",
+  Wrench: "Wrench",
+  Respawn: "Respawn",
+  RespawnSpike: "RespawnSpike",
   Disconnect: "Disconnect",
   OnSendToServer: "OnSendToServer",
   OnSpawn: "OnSpawn",
   OnRemove: "OnRemove",
   OnNameChanged: "OnNameChanged",
   OnChangeSkin: "OnChangeSkin",
+  OnDialogRequest: "OnDialogRequest",
+  OnSetPos: "OnSetPos",
+  OnSetClothing: "OnSetClothing",
+  OnCountryState: "OnCountryState",
+  OnInvis: "OnInvis",
+  State: "State",
+  UpdateStatus: "UpdateStatus",
+  TileChangeRequest: "TileChangeRequest",
+  SendMapData: "SendMapData",
+  SendTileUpdateData: "SendTileUpdateData",
+  SendTileUpdateDataMultiple: "SendTileUpdateDataMultiple",
+  TileActivateRequest: "TileActivateRequest",
+  TileApplyDamage: "TileApplyDamage",
+  SendInventoryState: "SendInventoryState",
+  ItemActivateRequest: "ItemActivateRequest",
+  ItemActivateObjectRequest: "ItemActivateObjectRequest",
+  SendTileTreeState: "SendTileTreeState",
+  ModifyItemInventory: "ModifyItemInventory",
+  ItemChangeObject: "ItemChangeObject",
+  SendLock: "SendLock",
+  SendItemDatabaseData: "SendItemDatabaseData",
+  SendParticleEffect: "SendParticleEffect",
+  SetIconState: "SetIconState",
+  ItemEffect: "ItemEffect",
+  SetCharacterState: "SetCharacterState",
+  PingReply: "PingReply",
+  PingRequest: "PingRequest",
+  GotPunched: "GotPunched",
+  AppCheckResponse: "AppCheckResponse",
+  AppIntegrityFail: "AppIntegrityFail",
+  BattleJoin: "BattleJoin",
+  BattleEvent: "BattleEvent",
+  UseDoor: "UseDoor",
+  SendParental: "SendParental",
+  GoneFishin: "GoneFishin",
+  Steam: "Steam",
+  PetBattle: "PetBattle",
+  Npc: "Npc",
+  Special: "Special",
+  SendParticleEffectV2: "SendParticleEffectV2",
+  ActiveArrowToItem: "ActiveArrowToItem",
+  SelectTileIndex: "SelectTileIndex",
+  SendPlayerTributeData: "SendPlayerTributeData",
+  FtueSetItemToQuickInventory: "FtueSetItemToQuickInventory",
+  PveNpc: "PveNpc",
+  PvpCardBattle: "PvpCardBattle",
+  PveApplyPlayerDamage: "PveApplyPlayerDamage",
+  PveNpcPositionUpdate: "PveNpcPositionUpdate",
+  SetExtraMods: "SetExtraMods",
+  OnStepTileMod: "OnStepTileMod",
   Unknown: "Unknown"
 };
 
@@ -51,7 +194,13 @@ const ACTION_PACKET_MAP = {
   join_request: PacketId.JoinRequest,
   validate_world: PacketId.ValidateWorld,
   input: PacketId.Input,
-  log: PacketId.Log
+  log: PacketId.Log,
+  dialog_return: PacketId.DialogReturn,
+  drop: PacketId.Drop,
+  trash: PacketId.Trash,
+  wrench: PacketId.Wrench,
+  respawn: PacketId.Respawn,
+  respawn_spike: PacketId.RespawnSpike
 };
 
 const VARIANT_FUNCTION_MAP = {
@@ -59,7 +208,61 @@ const VARIANT_FUNCTION_MAP = {
   OnSpawn: PacketId.OnSpawn,
   OnRemove: PacketId.OnRemove,
   OnNameChanged: PacketId.OnNameChanged,
-  OnChangeSkin: PacketId.OnChangeSkin
+  OnChangeSkin: PacketId.OnChangeSkin,
+  OnDialogRequest: PacketId.OnDialogRequest,
+  OnSetPos: PacketId.OnSetPos,
+  OnSetClothing: PacketId.OnSetClothing,
+  OnCountryState: PacketId.OnCountryState,
+  OnInvis: PacketId.OnInvis
+};
+
+const TANK_PACKET_MAP = {
+  [GAME_PACKET.STATE]: PacketId.State,
+  [GAME_PACKET.UPDATE_STATUS]: PacketId.UpdateStatus,
+  [GAME_PACKET.TILE_CHANGE_REQUEST]: PacketId.TileChangeRequest,
+  [GAME_PACKET.SEND_MAP_DATA]: PacketId.SendMapData,
+  [GAME_PACKET.SEND_TILE_UPDATE_DATA]: PacketId.SendTileUpdateData,
+  [GAME_PACKET.SEND_TILE_UPDATE_DATA_MULTIPLE]: PacketId.SendTileUpdateDataMultiple,
+  [GAME_PACKET.TILE_ACTIVATE_REQUEST]: PacketId.TileActivateRequest,
+  [GAME_PACKET.TILE_APPLY_DAMAGE]: PacketId.TileApplyDamage,
+  [GAME_PACKET.SEND_INVENTORY_STATE]: PacketId.SendInventoryState,
+  [GAME_PACKET.ITEM_ACTIVATE_REQUEST]: PacketId.ItemActivateRequest,
+  [GAME_PACKET.ITEM_ACTIVATE_OBJECT_REQUEST]: PacketId.ItemActivateObjectRequest,
+  [GAME_PACKET.SEND_TILE_TREE_STATE]: PacketId.SendTileTreeState,
+  [GAME_PACKET.MODIFY_ITEM_INVENTORY]: PacketId.ModifyItemInventory,
+  [GAME_PACKET.ITEM_CHANGE_OBJECT]: PacketId.ItemChangeObject,
+  [GAME_PACKET.SEND_LOCK]: PacketId.SendLock,
+  [GAME_PACKET.SEND_ITEM_DATABASE_DATA]: PacketId.SendItemDatabaseData,
+  [GAME_PACKET.SEND_PARTICLE_EFFECT]: PacketId.SendParticleEffect,
+  [GAME_PACKET.SET_ICON_STATE]: PacketId.SetIconState,
+  [GAME_PACKET.ITEM_EFFECT]: PacketId.ItemEffect,
+  [GAME_PACKET.SET_CHARACTER_STATE]: PacketId.SetCharacterState,
+  [GAME_PACKET.PING_REPLY]: PacketId.PingReply,
+  [GAME_PACKET.PING_REQUEST]: PacketId.PingRequest,
+  [GAME_PACKET.GOT_PUNCHED]: PacketId.GotPunched,
+  [GAME_PACKET.APP_CHECK_RESPONSE]: PacketId.AppCheckResponse,
+  [GAME_PACKET.APP_INTEGRITY_FAIL]: PacketId.AppIntegrityFail,
+  [GAME_PACKET.DISCONNECT]: PacketId.Disconnect,
+  [GAME_PACKET.BATTLE_JOIN]: PacketId.BattleJoin,
+  [GAME_PACKET.BATTLE_EVENT]: PacketId.BattleEvent,
+  [GAME_PACKET.USE_DOOR]: PacketId.UseDoor,
+  [GAME_PACKET.SEND_PARENTAL]: PacketId.SendParental,
+  [GAME_PACKET.GONE_FISHIN]: PacketId.GoneFishin,
+  [GAME_PACKET.STEAM]: PacketId.Steam,
+  [GAME_PACKET.PET_BATTLE]: PacketId.PetBattle,
+  [GAME_PACKET.NPC]: PacketId.Npc,
+  [GAME_PACKET.SPECIAL]: PacketId.Special,
+  [GAME_PACKET.SEND_PARTICLE_EFFECT_V2]: PacketId.SendParticleEffectV2,
+  [GAME_PACKET.ACTIVE_ARROW_TO_ITEM]: PacketId.ActiveArrowToItem,
+  [GAME_PACKET.SELECT_TILE_INDEX]: PacketId.SelectTileIndex,
+  [GAME_PACKET.SEND_PLAYER_TRIBUTE_DATA]: PacketId.SendPlayerTributeData,
+  [GAME_PACKET.FTUE_SET_ITEM_TO_QUICK_INVENTORY]: PacketId.FtueSetItemToQuickInventory,
+  [GAME_PACKET.PVE_NPC]: PacketId.PveNpc,
+  [GAME_PACKET.PVP_CARD_BATTLE]: PacketId.PvpCardBattle,
+  [GAME_PACKET.PVE_APPLY_PLAYER_DAMAGE]: PacketId.PveApplyPlayerDamage,
+  [GAME_PACKET.PVE_NPC_POSITION_UPDATE]: PacketId.PveNpcPositionUpdate,
+  [GAME_PACKET.SET_EXTRA_MODS]: PacketId.SetExtraMods,
+  [GAME_PACKET.ON_STEP_TILE_MOD]: PacketId.OnStepTileMod
 };
 
 function stripNullTerminator(buffer) {
@@ -151,6 +354,21 @@ function parseVariantArgs(extraBuffer) {
   return args;
 }
 
+// Typed counterpart of parseVariantArgs(): Variant objects indexed like the call's arguments.
+function parseVariants(extraBuffer) {
+  const parsed = parseVariantEntries(extraBuffer);
+  if (!parsed) {
+    return [];
+  }
+
+  const variants = [];
+  for (const entry of parsed.entries) {
+    variants[entry.index] = Variant.fromEntry(entry);
+  }
+
+  return variants;
+}
+
 function parseVariantEntries(extraBuffer) {
   if (!Buffer.isBuffer(extraBuffer) || extraBuffer.length === 0) {
     return {
@@ -360,6 +578,11 @@ function encodeVariantArgs(args) {
 
   for (let i = 0; i < normalized.length; i += 1) {
     const value = normalized[i];
+    if (value instanceof Variant) {
+      chunks.push(buildVariantEntry(i, value.type, value.value));
+      continue;
+    }
+
     chunks.push(Buffer.from([i]));
 
     if (typeof value === "string") {
@@ -438,37 +661,32 @@ function encodeVariantArgs(args) {
   return Buffer.concat(chunks);
 }
 
-function parseTankPacket(rawBuffer) {
-  const buffer = stripNullTerminator(rawBuffer);
-  if (buffer.length < 60) {
+function parseTankPacket(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < TANK_HEADER_SIZE) {
     return null;
   }
 
-  const messageType = buffer.readUInt32LE(0);
+  const messageType = buffer.readUInt32LE(TANK_OFFSET.MESSAGE_TYPE);
   if (messageType !== NET_MESSAGE.GAME_PACKET) {
     return null;
   }
 
-  const type = buffer.readUInt8(4);
-  const netId = buffer.readInt32LE(8);
-  const targetNetId = buffer.readInt32LE(12);
-  const state = buffer.readUInt32LE(16);
-  const info = buffer.readInt32LE(24);
-  const dataSize = buffer.readUInt32LE(56);
-  const extraEnd = Math.min(buffer.length, 60 + dataSize);
-  const extra = extraEnd > 60 ? buffer.subarray(60, extraEnd) : Buffer.alloc(0);
-  const header = Buffer.from(buffer.subarray(0, 60));
+  const type = buffer.readUInt8(TANK_OFFSET.PACKET_TYPE);
+  const dataSize = buffer.readUInt32LE(TANK_OFFSET.DATA_SIZE);
+  // Anything past the header and its dataSize bytes is the trailing terminator (or padding),
+  // so it is never mistaken for header or extra bytes.
+  const extraEnd = Math.min(buffer.length, TANK_HEADER_SIZE + dataSize);
+  const extra = extraEnd > TANK_HEADER_SIZE ? buffer.subarray(TANK_HEADER_SIZE, extraEnd) : Buffer.alloc(0);
+  const header = Buffer.from(buffer.subarray(0, TANK_HEADER_SIZE));
 
-  let packetId = PacketId.Unknown;
+  let packetId = TANK_PACKET_MAP[type] ?? PacketId.Unknown;
   let variantFunction = "";
   let variantArgs = null;
-
-  if (type === GAME_PACKET.DISCONNECT) {
-    packetId = PacketId.Disconnect;
-  }
+  let variants = null;
 
   if (type === GAME_PACKET.CALL_FUNCTION) {
-    variantArgs = parseVariantArgs(extra);
+    variants = parseVariants(extra);
+    variantArgs = variants.map((variant) => variant.value);
     variantFunction = typeof variantArgs[0] === "string" ? variantArgs[0] : "";
     packetId = VARIANT_FUNCTION_MAP[variantFunction] ?? PacketId.Unknown;
   }
@@ -477,16 +695,28 @@ function parseTankPacket(rawBuffer) {
     kind: "tank",
     messageType,
     packetType: type,
-    netId,
-    targetNetId,
-    state,
-    info,
+    objectType: buffer.readUInt8(TANK_OFFSET.OBJECT_TYPE),
+    jumpCount: buffer.readUInt8(TANK_OFFSET.JUMP_COUNT),
+    animationType: buffer.readUInt8(TANK_OFFSET.ANIMATION_TYPE),
+    netId: buffer.readInt32LE(TANK_OFFSET.NET_ID),
+    targetNetId: buffer.readInt32LE(TANK_OFFSET.TARGET_NET_ID),
+    state: buffer.readUInt32LE(TANK_OFFSET.STATE),
+    floatVar: buffer.readFloatLE(TANK_OFFSET.FLOAT_VAR),
+    info: buffer.readInt32LE(TANK_OFFSET.INFO),
+    posX: buffer.readFloatLE(TANK_OFFSET.POS_X),
+    posY: buffer.readFloatLE(TANK_OFFSET.POS_Y),
+    speedX: buffer.readFloatLE(TANK_OFFSET.SPEED_X),
+    speedY: buffer.readFloatLE(TANK_OFFSET.SPEED_Y),
+    particleRotation: buffer.readFloatLE(TANK_OFFSET.PARTICLE_ROTATION),
+    intX: buffer.readInt32LE(TANK_OFFSET.INT_X),
+    intY: buffer.readInt32LE(TANK_OFFSET.INT_Y),
     dataSize,
     extra,
     header,
     packetId,
     variantFunction,
-    variantArgs
+    variantArgs,
+    variants
   };
 }
 
@@ -526,29 +756,86 @@ function buildTextPacket(messageType, rawText) {
   return out;
 }
 
+function writeTankFloat(buffer, offset, value) {
+  if (typeof value === "undefined") {
+    return;
+  }
+
+  const number = Number(value);
+  // Keep the original NaN payload bits when a decoded NaN is written back unchanged.
+  if (Number.isNaN(number) && Number.isNaN(buffer.readFloatLE(offset))) {
+    return;
+  }
+
+  buffer.writeFloatLE(number, offset);
+}
+
 function buildTankPacket({
   header = null,
   packetType = GAME_PACKET.CALL_FUNCTION,
+  objectType,
+  jumpCount,
+  animationType,
   netId = -1,
   targetNetId = 0,
   state = 8,
+  floatVar,
   info = 0,
+  posX,
+  posY,
+  speedX,
+  speedY,
+  particleRotation,
+  intX,
+  intY,
   extra = Buffer.alloc(0)
 } = {}) {
-  const headerBuffer = header && Buffer.isBuffer(header) ? Buffer.from(header) : Buffer.alloc(60);
-  if (headerBuffer.length < 60) {
-    throw new Error("Tank header must be at least 60 bytes");
+  const headerBuffer = header && Buffer.isBuffer(header) ? Buffer.from(header) : Buffer.alloc(TANK_HEADER_SIZE);
+  if (headerBuffer.length < TANK_HEADER_SIZE) {
+    throw new Error(`Tank header must be at least ${TANK_HEADER_SIZE} bytes`);
   }
 
-  headerBuffer.writeUInt32LE(NET_MESSAGE.GAME_PACKET, 0);
-  headerBuffer.writeUInt8(packetType, 4);
-  headerBuffer.writeInt32LE(netId, 8);
-  headerBuffer.writeInt32LE(targetNetId, 12);
-  headerBuffer.writeUInt32LE(state, 16);
-  headerBuffer.writeInt32LE(info, 24);
-  headerBuffer.writeUInt32LE(extra.length, 56);
+  headerBuffer.writeUInt32LE(NET_MESSAGE.GAME_PACKET, TANK_OFFSET.MESSAGE_TYPE);
+  headerBuffer.writeUInt8(packetType, TANK_OFFSET.PACKET_TYPE);
+  headerBuffer.writeInt32LE(netId, TANK_OFFSET.NET_ID);
+  headerBuffer.writeInt32LE(targetNetId, TANK_OFFSET.TARGET_NET_ID);
+  headerBuffer.writeUInt32LE(state, TANK_OFFSET.STATE);
+  headerBuffer.writeInt32LE(info, TANK_OFFSET.INFO);
+  headerBuffer.writeUInt32LE(extra.length, TANK_OFFSET.DATA_SIZE);
 
-  return Buffer.concat([headerBuffer.subarray(0, 60), extra]);
+  // Optional fields only overwrite the header when given, so a caller passing just
+  // `header` plus the legacy fields keeps every other byte intact.
+  if (typeof objectType !== "undefined") {
+    headerBuffer.writeUInt8(objectType & 0xff, TANK_OFFSET.OBJECT_TYPE);
+  }
+  if (typeof jumpCount !== "undefined") {
+    headerBuffer.writeUInt8(jumpCount & 0xff, TANK_OFFSET.JUMP_COUNT);
+  }
+  if (typeof animationType !== "undefined") {
+    headerBuffer.writeUInt8(animationType & 0xff, TANK_OFFSET.ANIMATION_TYPE);
+  }
+  if (typeof intX !== "undefined") {
+    headerBuffer.writeInt32LE(intX | 0, TANK_OFFSET.INT_X);
+  }
+  if (typeof intY !== "undefined") {
+    headerBuffer.writeInt32LE(intY | 0, TANK_OFFSET.INT_Y);
+  }
+
+  writeTankFloat(headerBuffer, TANK_OFFSET.FLOAT_VAR, floatVar);
+  writeTankFloat(headerBuffer, TANK_OFFSET.POS_X, posX);
+  writeTankFloat(headerBuffer, TANK_OFFSET.POS_Y, posY);
+  writeTankFloat(headerBuffer, TANK_OFFSET.SPEED_X, speedX);
+  writeTankFloat(headerBuffer, TANK_OFFSET.SPEED_Y, speedY);
+  writeTankFloat(headerBuffer, TANK_OFFSET.PARTICLE_ROTATION, particleRotation);
+
+  return Buffer.concat([headerBuffer.subarray(0, TANK_HEADER_SIZE), extra]);
+}
+
+// Re-encodes a parsed CALL_FUNCTION packet with new arguments, keeping every header field.
+// Pass parsed.variants (edited) to keep the original argument types.
+function buildVariantPacket(parsed, args) {
+  const extra = encodeVariantArgs(args);
+  return ensureNullTerminator(buildTankPacket({ ...parsed, extra }));
 }
 
 function parseOnSendToServer(variantArgs) {
@@ -599,15 +886,87 @@ function parseOnSpawn(variantArgs) {
   }
 
   const parser = new TextParse(variantArgs[1]);
+  // Every key as sent, including ones without a named field below.
+  const attributes = {};
+  for (const [key, values] of parser.getEntries()) {
+    attributes[key] = values.join("|");
+  }
+
   return {
     spawn: parser.get("spawn", 0),
     netId: parser.getInt("netID", 0, -1),
     userId: parser.getInt("userID", 0, 0),
+    eid: parser.get("eid", 0),
+    ip: parser.get("ip", 0),
+    colrect: [0, 1, 2, 3].map((index) => parser.getInt("colrect", index, 0)),
+    posX: Number.parseFloat(parser.get("posXY", 0)) || 0,
+    posY: Number.parseFloat(parser.get("posXY", 1)) || 0,
     name: parser.get("name", 0),
-    type: parser.get("type", 0)
+    country: parser.get("country", 0),
+    invis: parser.getInt("invis", 0, 0) !== 0,
+    mstate: parser.getInt("mstate", 0, 0),
+    smstate: parser.getInt("smstate", 0, 0),
+    onlineId: parser.get("onlineID", 0),
+    type: parser.get("type", 0),
+    attributes
   };
 }
 
+const CLOTHING_SLOTS = [
+  ["hair", "shirt", "pants"],
+  ["feet", "face", "hand"],
+  ["back", "mask", "necklace"]
+];
+
+// OnSetClothing(vec3 hair/shirt/pants, vec3 feet/face/hand, vec3 back/mask/necklace,
+// uint skinColor, vec3 ances/...).
+function parseOnSetClothing(variantArgs) {
+  if (!Array.isArray(variantArgs) || variantArgs.length < 4) {
+    return null;
+  }
+
+  const clothing = {};
+  CLOTHING_SLOTS.forEach((slots, argIndex) => {
+    const values = Array.isArray(variantArgs[argIndex + 1]) ? variantArgs[argIndex + 1] : [];
+    slots.forEach((slot, index) => {
+      clothing[slot] = Math.trunc(Number(values[index]) || 0);
+    });
+  });
+  clothing.ances = Array.isArray(variantArgs[5]) ? Math.trunc(Number(variantArgs[5][0]) || 0) : 0;
+
+  const fields = { clothing };
+  if (typeof variantArgs[4] === "number") {
+    fields.skinColor = variantArgs[4];
+  }
+
+  return fields;
+}
+
+// Player attributes carried by a player-targeted variant call (netId in the tank header),
+// or null for other calls.
+function parsePlayerVariant(parsed) {
+  const args = parsed?.variantArgs;
+  if (!Array.isArray(args)) {
+    return null;
+  }
+
+  switch (parsed.variantFunction) {
+    case "OnNameChanged":
+      return typeof args[1] === "string" ? { name: args[1] } : null;
+    case "OnChangeSkin":
+      return typeof args[1] === "number" ? { skinColor: args[1] } : null;
+    case "OnSetClothing":
+      return parseOnSetClothing(args);
+    case "OnCountryState":
+      // "us|showGuild|..." -> the flag's country code plus the full state string.
+      return typeof args[1] === "string" ? { country: args[1].split("|")[0], countryState: args[1] } : null;
+    case "OnInvis":
+      return args[1] === undefined ? null : { invis: Number(args[1]) !== 0 };
+    default:
+      return null;
+  }
+}
+
 function parseOnRemove(variantArgs) {
   if (!Array.isArray(variantArgs) || variantArgs.length < 2) {
     return null;
@@ -622,19 +981,30 @@ function parseOnRemove(variantArgs) {
 module.exports = {
   NET_MESSAGE,
   GAME_PACKET,
+  TANK_FLAG,
+  TANK_HEADER_SIZE,
+  TANK_OFFSET,
+  VARIANT_TYPE,
+  Variant,
   PacketId,
   stripNullTerminator,
   ensureNullTerminator,
   toHex,
   parsePacket,
   parseVariantArgs,
+  parseVariants,
   parseVariantEntries,
+  buildVariantEntry,
+  encodeVariantEntries,
   encodeVariantArgs,
   rewriteOnSendToServerExtra,
   buildTextPacket,
   buildTankPacket,
+  buildVariantPacket,
   parseOnSendToServer,
   buildOnSendToServerArgs,
   parseOnSpawn,
+  parseOnSetClothing,
+  parsePlayerVariant,
   parseOnRemove
 };
@@ -0,0 +1,282 @@
+"use strict";
+
+const {
+  parsePacket,
+  parseVariantEntries,
+  buildVariantEntry,
+  encodeVariantEntries,
+  buildTextPacket,
+  buildTankPacket,
+  ensureNullTerminator
+} = require("./packet");
+
+const RULE_ACTIONS = new Set(["drop", "log", "rewriteArg", "setText"]);
+
+const TANK_FIELDS = new Set([
+  "packetType",
+  "objectType",
+  "jumpCount",
+  "animationType",
+  "netId",
+  "targetNetId",
+  "state",
+  "floatVar",
+  "info",
+  "posX",
+  "posY",
+  "speedX",
+  "speedY",
+  "particleRotation",
+  "intX",
+  "intY",
+  "dataSize"
+]);
+
+// A match value is a literal (compared as strings, so "18" matches 18), an array of
+// literals (any of), or { "regex": "...", "flags": "i" }.
+function compileValueMatcher(expected) {
+  if (Array.isArray(expected)) {
+    const options = expected.map(String);
+    return (value) => value !== undefined && value !== null && options.includes(String(value));
+  }
+
+  if (expected && typeof expected === "object") {
+    if (typeof expected.regex !== "string") {
+      throw new Error("object matchers need a \"regex\" string");
+    }
+
+    // "g" and "y" make test() resume from lastIndex, so a rule would skip every other packet.
+    const pattern = new RegExp(expected.regex, String(expected.flags || "").replace(/[gy]/g, ""));
+    return (value) => value !== undefined && value !== null && pattern.test(String(value));
+  }
+
+  return (value) => value !== undefined && value !== null && String(value) === String(expected);
+}
+
+function compileFieldMatchers(fields, label, allowedKeys = null) {
+  if (fields === undefined) {
+    return [];
+  }
+
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new Error(`"${label}" must be an object`);
+  }
+
+  return Object.entries(fields).map(([key, expected]) => {
+    if (allowedKeys && !allowedKeys.has(key)) {
+      throw new Error(`unknown ${label} field "${key}"`);
+    }
+
+    return [key, compileValueMatcher(expected)];
+  });
+}
+
+function compileRule(rule, index) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("rule must be an object");
+  }
+
+  const match = rule.match ?? {};
+  const action = typeof rule.action === "string" ? { type: rule.action } : rule.action;
+  if (!action || !RULE_ACTIONS.has(action.type)) {
+    throw new Error(`action must be one of ${[...RULE_ACTIONS].join(", ")}`);
+  }
+
+  if (action.type === "rewriteArg" && !Number.isInteger(action.index)) {
+    throw new Error("rewriteArg needs an integer \"index\"");
+  }
+
+  if (action.type === "setText" && typeof action.key !== "string") {
+    throw new Error("setText needs a \"key\" string");
+  }
+
+  return {
+    name: String(rule.name || `rule #${index + 1}`),
+    direction: match.direction === undefined ? null : compileValueMatcher(match.direction),
+    packetId: match.packetId === undefined ? null : compileValueMatcher(match.packetId),
+    variant: match.variant === undefined ? null : compileValueMatcher(match.variant),
+    text: compileFieldMatchers(match.text, "text"),
+    tank: compileFieldMatchers(match.tank, "tank", TANK_FIELDS),
+    args: compileFieldMatchers(match.args, "args"),
+    action,
+    hits: 0
+  };
+}
+
+// Edits the raw text line by line instead of going through TextParse.getRaw(), which would
+// drop the leading "|" of client lines such as "|text|hello".
+function setTextKey(text, key, value) {
+  const lines = text.split("\n");
+  let found = false;
+  for (let i = 0; i < lines.length; i += 1) {
+    const match = lines[i].match(/^(\|?)([^|]*)\|/);
+    if (match && match[2] === key) {
+      lines[i] = `${match[1]}${key}|${value}`;
+      found = true;
+    }
+  }
+
+  if (!found) {
+    const last = lines.length > 0 && lines[lines.length - 1] === "" ? lines.length - 1 : lines.length;
+    lines.splice(last, 0, `${key}|${value}`);
+  }
+
+  return lines.join("\n");
+}
+
+function describePacket(context) {
+  const { parsed } = context;
+  if (parsed.variantFunction) {
+    return `[${context.direction}] ${parsed.variantFunction} ${JSON.stringify(parsed.variantArgs)}`;
+  }
+
+  return `[${context.direction}] ${parsed.packetId}`;
+}
+
+function rewriteVariantArg(parsed, action) {
+  const variant = parseVariantEntries(parsed.extra);
+  const entry = variant?.entries.find((candidate) => candidate.index === action.index);
+  if (!entry) {
+    return null;
+  }
+
+  if (typeof action.find === "string") {
+    entry.value = String(entry.value).split(action.find).join(String(action.value ?? ""));
+  } else if (typeof entry.value === "string") {
+    entry.value = String(action.value ?? "");
+  } else if (Array.isArray(entry.value)) {
+    entry.value = Array.isArray(action.value) ? action.value.map(Number) : entry.value;
+  } else {
+    entry.value = Number(action.value) || 0;
+  }
+
+  entry.encoded = buildVariantEntry(entry.index, entry.type, entry.value);
+  return encodeVariantEntries(variant);
+}
+
+// Config-driven packet rules (see README "Packet rules"). Rules run in order; a drop stops
+// the remaining rules for that packet.
+class PacketRules {
+  constructor(logger = console) {
+    this.logger = logger;
+    this.rules = [];
+  }
+
+  load(rules) {
+    const compiled = [];
+    for (const [index, rule] of (Array.isArray(rules) ? rules : []).entries()) {
+      try {
+        compiled.push(compileRule(rule, index));
+      } catch (error) {
+        this.logger.error(`Ignored packet rule ${rule?.name ? `"${rule.name}"` : `#${index + 1}`}: ${error.message}`);
+      }
+    }
+
+    this.rules = compiled;
+    return compiled.length;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  matches(rule, context) {
+    const { parsed } = context;
+    if (rule.direction && !rule.direction(context.direction)) {
+      return false;
+    }
+
+    if (rule.packetId && !rule.packetId(parsed.packetId)) {
+      return false;
+    }
+
+    if (rule.variant && !rule.variant(parsed.variantFunction)) {
+      return false;
+    }
+
+    if (rule.text.length > 0 && (parsed.kind !== "text" || !parsed.parser)) {
+      return false;
+    }
+
+    for (const [key, test] of rule.text) {
+      if (!parsed.parser.contains(key) || !test(parsed.parser.get(key))) {
+        return false;
+      }
+    }
+
+    if (rule.tank.length > 0 && parsed.kind !== "tank") {
+      return false;
+    }
+
+    for (const [field, test] of rule.tank) {
+      if (!test(parsed[field])) {
+        return false;
+      }
+    }
+
+    for (const [index, test] of rule.args) {
+      if (!Array.isArray(parsed.variantArgs) || !test(parsed.variantArgs[Number(index)])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Returns the rebuilt packet, or null when the action does not apply to this packet kind.
+  rebuild(rule, context) {
+    const { parsed, raw } = context;
+    const { action } = rule;
+
+    if (action.type === "setText" && parsed.kind === "text") {
+      return buildTextPacket(parsed.messageType, setTextKey(parsed.text, action.key, String(action.value ?? "")));
+    }
+
+    if (action.type === "rewriteArg" && parsed.kind === "tank" && Array.isArray(parsed.variantArgs)) {
+      const extra = rewriteVariantArg(parsed, action);
+      if (!extra) {
+        return null;
+      }
+
+      const rebuilt = buildTankPacket({ ...parsed, extra });
+      return raw.length > 0 && raw[raw.length - 1] === 0 ? ensureNullTerminator(rebuilt) : rebuilt;
+    }
+
+    return null;
+  }
+
+  apply(context) {
+    for (const rule of this.rules) {
+      if (!this.matches(rule, context)) {
+        continue;
+      }
+
+      rule.hits += 1;
+      const { action } = rule;
+      if (action.type === "drop") {
+        context.canceled = true;
+        this.logger.debug(`Rule "${rule.name}" dropped ${describePacket(context)}`);
+        return;
+      }
+
+      if (action.type === "log") {
+        this.logger.info(`Rule "${rule.name}" matched ${describePacket(context)}`);
+        continue;
+      }
+
+      const rebuilt = this.rebuild(rule, context);
+      if (!rebuilt) {
+        this.logger.warn(`Rule "${rule.name}" (${action.type}) does not apply to ${describePacket(context)}`);
+        continue;
+      }
+
+      // Re-parsed so later rules and script hooks see the rewritten packet.
+      context.raw = rebuilt;
+      context.parsed = parsePacket(rebuilt);
+    }
+  }
+}
+
+module.exports = {
+  PacketRules
+};
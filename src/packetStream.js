@@ -0,0 +1,124 @@
+"use strict";
+
+const { CLOSE_CODE } = require("./webSocket");
+
+// A subscriber that falls this far behind skips packets instead of buffering more.
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+const TANK_FIELDS = [
+  "packetType",
+  "objectType",
+  "jumpCount",
+  "animationType",
+  "netId",
+  "targetNetId",
+  "state",
+  "floatVar",
+  "info",
+  "posX",
+  "posY",
+  "speedX",
+  "speedY",
+  "particleRotation",
+  "intX",
+  "intY",
+  "dataSize"
+];
+
+// JSON form of a ProxyCore "packet" event. Variant arguments keep their wire type; `data` is
+// the base64 of the bytes as forwarded (or as received, for a dropped packet).
+function serializePacket({ session, direction, channelId, parsed, raw, canceled, injected }) {
+  const packet = {
+    session: session.id,
+    time: Date.now(),
+    direction,
+    channelId,
+    canceled,
+    injected,
+    kind: parsed.kind,
+    packetId: parsed.packetId,
+    data: Buffer.from(raw).toString("base64")
+  };
+
+  if (parsed.kind === "text") {
+    packet.text = parsed.text;
+  }
+
+  if (parsed.kind === "tank") {
+    packet.tank = Object.fromEntries(TANK_FIELDS.map((field) => [field, parsed[field]]));
+    if (Array.isArray(parsed.variants)) {
+      packet.variantFunction = parsed.variantFunction;
+      packet.variants = parsed.variants.map((variant) => (variant ? { type: variant.typeName, value: variant.value } : null));
+    }
+  }
+
+  return packet;
+}
+
+// Fans ProxyCore "packet" events out to WebSocket subscribers as `{ "type": "packet", ... }`
+// messages. Each packet is serialized once, and only while someone is subscribed.
+class PacketStream {
+  constructor(core) {
+    this.core = core;
+    this.subscribers = new Set();
+    this.onPacket = (event) => this.broadcast(event);
+  }
+
+  // `filters.session` (session id) and `filters.direction` narrow what one subscriber gets.
+  add(connection, filters = {}) {
+    const subscriber = {
+      connection,
+      session: Number.isInteger(filters.session) ? filters.session : null,
+      direction: filters.direction || null,
+      skipped: 0
+    };
+
+    if (this.subscribers.size === 0) {
+      this.core.on("packet", this.onPacket);
+    }
+    this.subscribers.add(subscriber);
+    connection.on("close", () => this.remove(subscriber));
+  }
+
+  remove(subscriber) {
+    if (this.subscribers.delete(subscriber) && this.subscribers.size === 0) {
+      this.core.off("packet", this.onPacket);
+    }
+  }
+
+  closeAll() {
+    for (const subscriber of this.subscribers) {
+      subscriber.connection.close(CLOSE_CODE.GOING_AWAY, "proxy stopping");
+    }
+    this.subscribers.clear();
+    this.core.off("packet", this.onPacket);
+  }
+
+  broadcast(event) {
+    let message = null;
+    for (const subscriber of this.subscribers) {
+      if ((subscriber.session !== null && subscriber.session !== event.session.id)
+        || (subscriber.direction && subscriber.direction !== event.direction)) {
+        continue;
+      }
+
+      if (subscriber.connection.bufferedAmount > MAX_BUFFERED_BYTES) {
+        subscriber.skipped += 1;
+        continue;
+      }
+
+      if (subscriber.skipped > 0) {
+        subscriber.connection.send(JSON.stringify({ type: "skipped", count: subscriber.skipped }));
+        subscriber.skipped = 0;
+      }
+
+      message ??= JSON.stringify({ type: "packet", ...serializePacket(event) });
+      subscriber.connection.send(message);
+    }
+  }
+}
+
+module.exports = {
+  PacketStream,
+  serializePacket
+};
@@ -0,0 +1,320 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const net = require("node:net");
+
+const { parsePacket } = require("./packet");
+const { readCaptureFile } = require("./sessionRecorder");
+
+const BLOCK_TYPE = {
+  SECTION_HEADER: 0x0a0d0d0a,
+  INTERFACE_DESCRIPTION: 0x00000001,
+  ENHANCED_PACKET: 0x00000006
+};
+
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const LINKTYPE_RAW = 101;
+const OPT_ENDOFOPT = 0;
+const OPT_COMMENT = 1;
+const OPT_SHB_USERAPPL = 4;
+const OPT_IF_NAME = 2;
+
+const UNKNOWN_ENDPOINT = { address: "0.0.0.0", port: 0 };
+
+// IPv4 total length is 16 bits, and fragments reassemble to no more than that, so one UDP
+// datagram carries at most this much payload after the 20-byte IP and 8-byte UDP headers.
+const IPV4_UDP_HEADER_SIZE = 28;
+const MAX_UDP_PAYLOAD = 0xffff - IPV4_UDP_HEADER_SIZE;
+
+function pad4(length) {
+  return (4 - (length % 4)) % 4;
+}
+
+function buildOption(code, value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "utf8");
+  const out = Buffer.alloc(4 + data.length + pad4(data.length));
+  out.writeUInt16LE(code, 0);
+  out.writeUInt16LE(data.length, 2);
+  data.copy(out, 4);
+  return out;
+}
+
+function buildOptions(options) {
+  if (options.length === 0) {
+    return Buffer.alloc(0);
+  }
+
+  return Buffer.concat([...options, Buffer.alloc(4, OPT_ENDOFOPT)]);
+}
+
+function buildBlock(type, body) {
+  const totalLength = 12 + body.length;
+  const out = Buffer.alloc(totalLength);
+  out.writeUInt32LE(type, 0);
+  out.writeUInt32LE(totalLength, 4);
+  body.copy(out, 8);
+  out.writeUInt32LE(totalLength, totalLength - 4);
+  return out;
+}
+
+function buildSectionHeaderBlock() {
+  const fixed = Buffer.alloc(16);
+  fixed.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+  fixed.writeUInt16LE(1, 4);
+  fixed.writeUInt16LE(0, 6);
+  // Section length unknown (-1): the file is written as a stream.
+  fixed.writeBigInt64LE(-1n, 8);
+  return buildBlock(
+    BLOCK_TYPE.SECTION_HEADER,
+    Buffer.concat([fixed, buildOptions([buildOption(OPT_SHB_USERAPPL, "GrowProxy")])])
+  );
+}
+
+function buildInterfaceDescriptionBlock() {
+  const fixed = Buffer.alloc(8);
+  fixed.writeUInt16LE(LINKTYPE_RAW, 0);
+  fixed.writeUInt32LE(0, 4);
+  return buildBlock(
+    BLOCK_TYPE.INTERFACE_DESCRIPTION,
+    Buffer.concat([fixed, buildOptions([buildOption(OPT_IF_NAME, "growproxy")])])
+  );
+}
+
+function ipv4ToBuffer(address) {
+  const value = String(address || "").replace(/^::ffff:/i, "");
+  if (net.isIP(value) !== 4) {
+    return Buffer.alloc(4);
+  }
+
+  return Buffer.from(value.split(".").map((part) => Number(part) & 0xff));
+}
+
+function ipv4Checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < header.length; i += 2) {
+    sum += header.readUInt16BE(i);
+  }
+
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+
+  return (~sum) & 0xffff;
+}
+
+// Raw IPv4 + UDP frame around a proxied ENet payload. The UDP checksum is left at 0
+// (allowed for IPv4), so Wireshark does not flag the synthesized packets. A payload larger
+// than MAX_UDP_PAYLOAD (big world data) is cut to fit, so the header lengths always match the
+// frame; writePacket() keeps the real size in the block's original length and the comment.
+function buildIpv4UdpFrame(src, dst, data, identification = 0) {
+  const payload = data.length > MAX_UDP_PAYLOAD ? data.subarray(0, MAX_UDP_PAYLOAD) : data;
+  const udpLength = 8 + payload.length;
+  const ipHeader = Buffer.alloc(20);
+  ipHeader.writeUInt8(0x45, 0);
+  ipHeader.writeUInt16BE(20 + udpLength, 2);
+  ipHeader.writeUInt16BE(identification & 0xffff, 4);
+  ipHeader.writeUInt16BE(0x4000, 6);
+  ipHeader.writeUInt8(64, 8);
+  ipHeader.writeUInt8(17, 9);
+  ipv4ToBuffer(src.address).copy(ipHeader, 12);
+  ipv4ToBuffer(dst.address).copy(ipHeader, 16);
+  ipHeader.writeUInt16BE(ipv4Checksum(ipHeader), 10);
+
+  const udpHeader = Buffer.alloc(8);
+  udpHeader.writeUInt16BE(Number(src.port) & 0xffff, 0);
+  udpHeader.writeUInt16BE(Number(dst.port) & 0xffff, 2);
+  udpHeader.writeUInt16BE(udpLength, 4);
+
+  return Buffer.concat([ipHeader, udpHeader, payload]);
+}
+
+// `originalLength` above the frame length marks the frame as truncated.
+function buildEnhancedPacketBlock(timestampUs, frame, comment, originalLength = frame.length) {
+  const fixed = Buffer.alloc(20);
+  const ts = BigInt(Math.max(0, Math.round(timestampUs)));
+  fixed.writeUInt32LE(0, 0);
+  fixed.writeUInt32LE(Number(ts >> 32n), 4);
+  fixed.writeUInt32LE(Number(ts & 0xffffffffn), 8);
+  fixed.writeUInt32LE(frame.length, 12);
+  fixed.writeUInt32LE(originalLength, 16);
+
+  const options = comment ? [buildOption(OPT_COMMENT, comment)] : [];
+  return buildBlock(
+    BLOCK_TYPE.ENHANCED_PACKET,
+    Buffer.concat([fixed, frame, Buffer.alloc(pad4(frame.length)), buildOptions(options)])
+  );
+}
+
+function describePacketComment({ session, direction, channelId, data, canceled, mutated, injected, truncated }) {
+  const parsed = parsePacket(data);
+  let comment = `${direction} ch${channelId} ${parsed.packetId}`;
+  if (session !== undefined && session !== null) {
+    comment = `client ${session} ${comment}`;
+  }
+  if (parsed.variantFunction) {
+    comment += ` variant=${parsed.variantFunction}`;
+  }
+  if (parsed.kind === "tank") {
+    comment += ` type=${parsed.packetType} netId=${parsed.netId}`;
+  }
+
+  const flags = [];
+  if (injected) {
+    flags.push("injected");
+  }
+  if (canceled) {
+    flags.push("canceled");
+  }
+  if (mutated) {
+    flags.push("mutated");
+  }
+  if (truncated) {
+    flags.push(`truncated, payload is ${data.length} bytes`);
+  }
+
+  return flags.length > 0 ? `${comment} [${flags.join(", ")}]` : comment;
+}
+
+class PcapNgWriter {
+  constructor(filePath, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.stream = null;
+    this.packetCount = 0;
+    this.openedAtUs = 0;
+    this.openedAtHr = 0n;
+  }
+
+  nowUs() {
+    return this.openedAtUs + Number((process.hrtime.bigint() - this.openedAtHr) / 1000n);
+  }
+
+  open() {
+    this.openedAtUs = Date.now() * 1000;
+    this.openedAtHr = process.hrtime.bigint();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.stream = fs.createWriteStream(this.filePath);
+    this.stream.on("error", (error) => {
+      this.logger.error(`PCAP-NG write failed for "${this.filePath}": ${error.message}`);
+      this.stream = null;
+    });
+    this.stream.write(buildSectionHeaderBlock());
+    this.stream.write(buildInterfaceDescriptionBlock());
+  }
+
+  isOpen() {
+    return this.stream !== null;
+  }
+
+  // ServerBound packets travel local -> upstream, ClientBound packets the other way.
+  writePacket({ timestampUs, session, direction, channelId, data, canceled, mutated, injected, endpoints }) {
+    if (!this.stream) {
+      return;
+    }
+
+    const local = endpoints?.client ?? UNKNOWN_ENDPOINT;
+    const upstream = endpoints?.upstream ?? UNKNOWN_ENDPOINT;
+    const [src, dst] = direction === "ServerBound" ? [local, upstream] : [upstream, local];
+    const frame = buildIpv4UdpFrame(src, dst, data, this.packetCount);
+    const truncated = data.length > MAX_UDP_PAYLOAD;
+    const comment = describePacketComment({
+      session,
+      direction,
+      channelId,
+      data,
+      canceled,
+      mutated,
+      injected,
+      truncated
+    });
+
+    this.packetCount += 1;
+    this.stream.write(buildEnhancedPacketBlock(
+      timestampUs ?? this.nowUs(),
+      frame,
+      comment,
+      IPV4_UDP_HEADER_SIZE + data.length
+    ));
+  }
+
+  close() {
+    if (!this.stream) {
+      return Promise.resolve();
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+function convertCaptureToPcapNg(capturePath, outPath, logger = console) {
+  const records = readCaptureFile(capturePath);
+  const writer = new PcapNgWriter(path.resolve(outPath), logger);
+  writer.open();
+
+  let startedAtUs = 0;
+  // Latest endpoints record by session id (undefined in version 1 captures).
+  const endpoints = new Map();
+  for (const record of records) {
+    if (record.type === "header") {
+      startedAtUs = Date.parse(record.startedAt) * 1000;
+      continue;
+    }
+
+    if (record.type === "endpoints") {
+      endpoints.set(record.session, record);
+      continue;
+    }
+
+    if (record.type !== "packet") {
+      continue;
+    }
+
+    writer.writePacket({
+      timestampUs: startedAtUs + record.t * 1000,
+      session: record.session,
+      direction: record.direction,
+      channelId: record.channelId,
+      data: record.forwarded ?? record.data,
+      canceled: record.canceled,
+      mutated: record.mutated,
+      injected: record.injected,
+      endpoints: endpoints.get(record.session) ?? null
+    });
+  }
+
+  return writer.close().then(() => writer.packetCount);
+}
+
+async function main(argv) {
+  const [capturePath, outArg] = argv;
+  if (!capturePath) {
+    throw new Error("Usage: npm run pcap -- <capture.jsonl> [out.pcapng]");
+  }
+
+  const outPath = outArg || capturePath.replace(/\.jsonl$/i, "") + ".pcapng";
+  const count = await convertCaptureToPcapNg(capturePath, outPath);
+  console.log(`Wrote ${count} packets to ${path.resolve(outPath)}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`[FATAL] ${error.stack || error.message}`);
+    process.exit(1);
+  });
+}
+
+function buildPcapFileName(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `capture-${stamp}.pcapng`;
+}
+
+module.exports = {
+  LINKTYPE_RAW,
+  buildPcapFileName,
+  PcapNgWriter,
+  buildIpv4UdpFrame,
+  convertCaptureToPcapNg
+};
@@ -3,6 +3,10 @@
 const dgram = require("node:dgram");
 const net = require("node:net");
 
+function isInRangePort(port) {
+  return Number.isInteger(port) && port > 0 && port <= 65535;
+}
+
 function checkUdpPortAvailable(port, host = "0.0.0.0") {
   return new Promise((resolve) => {
     const socket = dgram.createSocket("udp4");
@@ -56,6 +60,7 @@ async function findFreeUdpPort(startPort, endPort = 65535, host = "0.0.0.0") {
 }
 
 module.exports = {
+  isInRangePort,
   checkUdpPortAvailable,
   checkTcpPortAvailable,
   findFreeUdpPort
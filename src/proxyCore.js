@@ -10,30 +10,25 @@ const { Client, Peer } = require("growtopia.js");
 const { DnsResolver } = require("./dnsResolver");
 const { TextParse } = require("./textParse");
 const { ensureTlsCertificate } = require("./tls");
-const { WorldState } = require("./worldState");
+const { ItemDatabase } = require("./itemDatabase");
 const { TaskScheduler } = require("./taskScheduler");
 const { CommandRegistry } = require("./commandRegistry");
 const { registerBuiltinCommands } = require("./builtinCommands");
 const { ScriptManager } = require("./scriptManager");
-const {
-  NET_MESSAGE,
-  GAME_PACKET,
-  PacketId,
-  parsePacket,
-  parseOnSendToServer,
-  parseOnSpawn,
-  parseOnRemove,
-  rewriteOnSendToServerExtra,
-  encodeVariantArgs,
-  buildTextPacket,
-  buildTankPacket,
-  ensureNullTerminator,
-  toHex
-} = require("./packet");
-
-function isInRangePort(port) {
-  return Number.isInteger(port) && port > 0 && port <= 65535;
-}
+const { HookPipeline } = require("./hookPipeline");
+const { PacketRules } = require("./packetRules");
+const { Dialog, DialogRegistry } = require("./dialog");
+const { ClientSession } = require("./clientSession");
+const { loadConfig } = require("./config");
+const { SessionRecorder } = require("./sessionRecorder");
+const { PcapNgWriter, buildPcapFileName } = require("./pcapng");
+const { ControlApi } = require("./controlApi");
+const { Dashboard } = require("./dashboard");
+const { Variant, parsePacket } = require("./packet");
+
+const CONFIG_WATCH_INTERVAL_MS = 1000;
+// How long a handoff target waits for its game client to reconnect.
+const PENDING_ENDPOINT_TTL_MS = 30000;
 
 function normalizeServerDataBody(rawBody) {
   let normalized = String(rawBody || "");
@@ -133,58 +128,60 @@ function shouldReadRequestBody(method) {
   return normalizedMethod !== "GET" && normalizedMethod !== "HEAD";
 }
 
-function extractInputTextFallback(rawText) {
-  const source = String(rawText || "");
-  if (!source) {
-    return "";
-  }
-
-  // Accept both "text|..." and "|text|..." line styles.
-  const lines = source.replace(/\r\n/g, "\n").split("\n");
-  for (const line of lines) {
-    const trimmed = String(line || "").trim();
-    if (!trimmed) {
-      continue;
-    }
-
-    if (trimmed.startsWith("text|")) {
-      return trimmed.slice("text|".length);
-    }
-
-    if (trimmed.startsWith("|text|")) {
-      return trimmed.slice("|text|".length);
-    }
+function readPeerEndpoint(peer, fallbackAddress = "0.0.0.0", fallbackPort = 0) {
+  try {
+    const nativePeer = peer.native;
+    return { address: String(nativePeer.ip), port: Number(nativePeer.port) };
+  } catch {
+    return { address: fallbackAddress, port: fallbackPort };
   }
-
-  return "";
-}
-
-function hasPendingEndpoint(address, port) {
-  return Boolean(String(address || "").trim()) && isInRangePort(Number(port));
 }
 
 class ProxyCore extends EventEmitter {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     super();
     this.config = config;
     this.logger = logger;
     this.running = false;
 
-    this.pendingAddress = "";
-    this.pendingPort = 65535;
-
-    this.world = new WorldState();
-    this.scheduler = new TaskScheduler();
-    this.commandRegistry = new CommandRegistry(this.config.command.prefix);
-    this.scriptEvents = new EventEmitter();
-    this.scriptManager = new ScriptManager(this.config.scripts, logger);
+    // Replay and tests pin the upstream ENet target and run without the HTTPS listener.
+    this.upstreamOverride = options.upstream ?? null;
+    this.webServerEnabled = options.webServer !== false;
+    this.controlApiEnabled = options.controlApi !== false && this.config.api.enabled;
+    this.dashboardEnabled = options.dashboard !== false && this.config.dashboard.enabled;
+    // Watched for `rules` changes when set; replay runs without a config file.
+    this.configPath = options.configPath ?? "";
+
+    // Upstream targets waiting for the next game client to connect: handoffs left by a
+    // disconnected session first (oldest first), else the last server_data.php answer.
+    this.pendingEndpoints = [];
+    this.loginEndpoint = null;
+    // Keyed by client peer netId, and by upstream peer netId once connected.
+    this.sessions = new Map();
+    this.upstreamSessions = new Map();
+
+    this.items = new ItemDatabase(logger);
+    this.items.load(this.config.items.path);
+    this.scheduler = new TaskScheduler(null, logger);
+    this.commandRegistry = new CommandRegistry(this.config.command.prefix, this.config.command);
+    this.scriptEvents = new HookPipeline(this.config.hooks, logger);
+    this.dialogs = new DialogRegistry();
+    this.scriptManager = new ScriptManager(this.config.scripts, logger, {
+      events: this.scriptEvents,
+      commands: this.commandRegistry,
+      scheduler: this.scheduler,
+      dialogs: this.dialogs,
+      storagePath: this.config.storage.path
+    });
+    this.recorder = new SessionRecorder(this.config.record, logger);
+    this.rules = new PacketRules(logger);
+    this.rules.load(this.config.rules);
+    this.pcapWriter = null;
 
-    this.clientPeer = null;
-    this.serverPeer = null;
     this.webServer = null;
+    this.controlApi = null;
+    this.dashboard = null;
     this.proxyClientListening = false;
-    this.upstreamRetryTimer = null;
-    this.upstreamRetryCount = 0;
 
     this.dnsResolver = new DnsResolver(this.config.client.dnsServer, logger);
 
@@ -192,7 +189,7 @@ class ProxyCore extends EventEmitter {
       enet: {
         ip: "0.0.0.0",
         port: this.config.server.port,
-        maxPeers: 1,
+        maxPeers: this.config.server.maxClients,
         useNewPacket: { asClient: false },
         useNewServerPacket: true,
         channelLimit: 2
@@ -203,7 +200,8 @@ class ProxyCore extends EventEmitter {
       enet: {
         ip: "0.0.0.0",
         port: this.config.client.localPort,
-        maxPeers: 4,
+        // Room for a stale peer per client while a handoff reconnects.
+        maxPeers: Math.max(4, this.config.server.maxClients * 2),
         // Growtopia upstream expects the "new packet" mode on client hosts.
         useNewPacket: { asClient: true },
         useNewServerPacket: false,
@@ -211,17 +209,18 @@ class ProxyCore extends EventEmitter {
       }
     });
 
-    registerBuiltinCommands(this.commandRegistry, this, this.logger);
+    registerBuiltinCommands(this.commandRegistry);
     this.setupNetworkHandlers();
     this.setupScriptHooks();
   }
 
   setupScriptHooks() {
     this.scriptManager.load({
-      on: (eventName, callback) => this.scriptEvents.on(eventName, callback),
-      registerCommand: (name, description, handler) => this.commandRegistry.register(name, description, handler),
       logger: this.logger,
-      config: this.config
+      config: this.config,
+      items: this.items,
+      Variant,
+      Dialog
     });
   }
 
@@ -232,42 +231,27 @@ class ProxyCore extends EventEmitter {
 
     this.proxyServer.on("connect", (netId) => {
       this.logger.info(`Client connected to proxy server (netId=${netId})`);
-      this.clientPeer = new Peer(this.proxyServer, netId);
-
-      if (isInRangePort(this.pendingPort) && this.pendingAddress) {
-        this.connectPendingServer();
-      } else {
-        this.logger.warn("No pending upstream endpoint yet. Waiting for server_data.php.");
-      }
+      const session = new ClientSession(this, netId);
+      this.sessions.set(netId, session);
+      const peer = new Peer(this.proxyServer, netId);
+      session.attachClient(peer, readPeerEndpoint(peer, "127.0.0.1"), this.takePendingEndpoint());
     });
 
     this.proxyServer.on("raw", (netId, channelId, data) => {
-      if (!this.clientPeer || this.clientPeer.data.netID !== netId) {
+      const session = this.sessions.get(netId);
+      if (!session) {
         return;
       }
 
-      this.handleServerBoundPacket(channelId, Buffer.from(data));
+      session.enqueuePacket("ServerBound", () => session.handleServerBoundPacket(channelId, Buffer.from(data)));
     });
 
     this.proxyServer.on("disconnect", (netId) => {
       this.logger.info(`Client disconnected from proxy server (netId=${netId})`);
-      if (this.clientPeer && this.clientPeer.data.netID === netId) {
-        this.clientPeer = null;
-      }
-
-      this.clearUpstreamRetry();
-      if (!hasPendingEndpoint(this.pendingAddress, this.pendingPort)) {
-        this.pendingAddress = "";
-        this.pendingPort = 65535;
-      } else {
-        this.logger.info(
-          `Preserving pending upstream target across client disconnect: ${this.pendingAddress}:${this.pendingPort}`
-        );
-      }
-      this.world.clear();
-
-      if (this.serverPeer) {
-        this.serverPeer.disconnect("later");
+      const session = this.sessions.get(netId);
+      if (session) {
+        this.sessions.delete(netId);
+        session.detachClient();
       }
     });
 
@@ -280,36 +264,38 @@ class ProxyCore extends EventEmitter {
     });
 
     this.proxyClient.on("connect", (netId) => {
-      this.logger.info(`Connected to Growtopia server (netId=${netId})`);
-      this.clearUpstreamRetry();
-      this.serverPeer = new Peer(this.proxyClient, netId);
+      const peer = new Peer(this.proxyClient, netId);
+      const endpoint = readPeerEndpoint(peer);
+      const session = this.claimUpstreamSession(endpoint);
+      if (!session) {
+        this.logger.warn(`Upstream peer ${endpoint.address}:${endpoint.port} connected with no client waiting for it`);
+        peer.disconnect("now");
+        return;
+      }
+
+      session.logger.info(`Connected to Growtopia server (netId=${netId})`);
+      this.upstreamSessions.set(netId, session);
+      session.attachServer(peer, endpoint);
     });
 
     this.proxyClient.on("raw", (netId, channelId, data) => {
-      if (!this.serverPeer || this.serverPeer.data.netID !== netId) {
+      const session = this.upstreamSessions.get(netId);
+      if (!session) {
         return;
       }
 
-      this.handleClientBoundPacket(channelId, Buffer.from(data));
+      session.enqueuePacket("ClientBound", () => session.handleClientBoundPacket(channelId, Buffer.from(data)));
     });
 
     this.proxyClient.on("disconnect", (netId) => {
-      this.logger.info(`Disconnected from Growtopia server (netId=${netId})`);
-      if (this.serverPeer && this.serverPeer.data.netID === netId) {
-        this.serverPeer = null;
-      }
-
-      if (this.clientPeer && hasPendingEndpoint(this.pendingAddress, this.pendingPort)) {
-        this.logger.info(
-          `Upstream disconnected during handoff. Reconnecting to pending target ${this.pendingAddress}:${this.pendingPort}`
-        );
-        this.connectPendingServer();
+      const session = this.upstreamSessions.get(netId);
+      if (!session) {
         return;
       }
 
-      if (this.clientPeer) {
-        this.clientPeer.disconnect("later");
-      }
+      session.logger.info(`Disconnected from Growtopia server (netId=${netId})`);
+      this.upstreamSessions.delete(netId);
+      session.onServerDisconnected(netId);
     });
 
     this.proxyClient.on("error", (error) => {
@@ -323,7 +309,28 @@ class ProxyCore extends EventEmitter {
     }
 
     this.running = true;
-    await this.startWebServer();
+    if (this.recorder.config.enabled) {
+      this.startRecording();
+    }
+    if (this.config.pcap.enabled) {
+      this.pcapWriter = new PcapNgWriter(path.resolve(this.config.pcap.path, buildPcapFileName()), this.logger);
+      this.pcapWriter.open();
+      this.logger.info(`Exporting live PCAP-NG to ${this.pcapWriter.filePath}`);
+    }
+    if (this.configPath) {
+      fs.watchFile(this.configPath, { interval: CONFIG_WATCH_INTERVAL_MS }, () => this.reloadRules());
+    }
+    if (this.webServerEnabled) {
+      await this.startWebServer();
+    }
+    if (this.controlApiEnabled) {
+      this.controlApi = new ControlApi(this, this.config.api, this.logger);
+      await this.controlApi.start();
+    }
+    if (this.dashboardEnabled) {
+      this.dashboard = new Dashboard(this, this.config.dashboard, this.logger);
+      await this.dashboard.start();
+    }
     this.proxyServer.listen();
   }
 
@@ -333,27 +340,116 @@ class ProxyCore extends EventEmitter {
     }
 
     this.running = false;
+    this.scriptManager.stopWatching();
+    if (this.configPath) {
+      fs.unwatchFile(this.configPath);
+    }
     this.scheduler.cancelAll();
-    this.clearUpstreamRetry();
-
-    if (this.clientPeer) {
-      this.clientPeer.disconnect("now");
-      this.clientPeer = null;
+    for (const session of this.sessions.values()) {
+      session.close();
     }
-
-    if (this.serverPeer) {
-      this.serverPeer.disconnect("now");
-      this.serverPeer = null;
+    this.sessions.clear();
+    this.upstreamSessions.clear();
+    this.recorder.stop();
+    if (this.pcapWriter) {
+      this.pcapWriter.close();
+      this.pcapWriter = null;
     }
 
     if (this.webServer) {
       this.webServer.close();
       this.webServer = null;
     }
+
+    if (this.controlApi) {
+      this.controlApi.stop();
+      this.controlApi = null;
+    }
+
+    if (this.dashboard) {
+      this.dashboard.stop();
+      this.dashboard = null;
+    }
+  }
+
+  // Re-reads config.json and swaps in its `rules`; a config that fails to parse keeps the old rules.
+  reloadRules() {
+    let config;
+    try {
+      ({ config } = loadConfig(this.configPath));
+    } catch (error) {
+      this.logger.error(`Config reload failed, keeping current rules: ${error.message}`);
+      return;
+    }
+
+    this.config.rules = config.rules;
+    const count = this.rules.load(config.rules);
+    this.logger.info(`Reloaded ${count} packet rules from ${this.configPath}`);
+  }
+
+  // Sessions already connected get an endpoints record so their packets can be told apart.
+  startRecording(fileName = "") {
+    const filePath = this.recorder.start({ fileName, proxyPort: this.config.server.port });
+    for (const session of this.sessions.values()) {
+      session.recordEndpoints();
+    }
+    return filePath;
+  }
+
+  getSessions() {
+    return [...this.sessions.values()];
+  }
+
+  getSession(netId) {
+    return this.sessions.get(Number(netId)) ?? null;
   }
 
   isServerConnected() {
-    return this.serverPeer !== null;
+    return this.getSessions().some((session) => session.isServerConnected());
+  }
+
+  // Emits "packet" for every forwarded, dropped or injected packet. Injected packets are only
+  // decoded here, and only while something listens.
+  publishPacket(session, packet) {
+    if (this.listenerCount("packet") === 0) {
+      return;
+    }
+
+    this.emit("packet", {
+      session,
+      ...packet,
+      parsed: packet.parsed ?? parsePacket(packet.raw),
+      canceled: packet.canceled === true,
+      injected: packet.injected === true
+    });
+  }
+
+  queuePendingEndpoint(address, port) {
+    this.pendingEndpoints.push({ address, port, expiresAt: Date.now() + PENDING_ENDPOINT_TTL_MS });
+  }
+
+  takePendingEndpoint() {
+    const now = Date.now();
+    this.pendingEndpoints = this.pendingEndpoints.filter((endpoint) => endpoint.expiresAt > now);
+    const handoff = this.pendingEndpoints.shift();
+    if (handoff) {
+      return { address: handoff.address, port: handoff.port };
+    }
+
+    return this.loginEndpoint;
+  }
+
+  // ENet does not say which connect() a new upstream peer answers, so it goes to the session
+  // that dialed its address, or else the one that has waited longest.
+  claimUpstreamSession(endpoint) {
+    const waiting = this.getSessions().filter((session) => session.connectingTo && !session.serverPeer);
+    return waiting.find((session) => (
+      session.connectingTo.address === endpoint.address && session.connectingTo.port === endpoint.port
+    )) ?? waiting[0] ?? null;
+  }
+
+  releaseUpstream(netId) {
+    this.upstreamSessions.delete(netId);
   }
 
   getProxyClientPeerLimit() {
@@ -429,360 +525,13 @@ class ProxyCore extends EventEmitter {
     return resetCount;
   }
 
-  connectPendingServer() {
-    const cleanedAddress = String(this.pendingAddress || "").replace(/\0/g, "").trim();
-    const cleanedPort = Number(this.pendingPort);
-    if (!cleanedAddress || !isInRangePort(cleanedPort)) {
-      return false;
-    }
-    this.pendingAddress = cleanedAddress;
-    this.pendingPort = cleanedPort;
-
-    if (this.serverPeer) {
-      this.logger.warn("Upstream peer already exists. Disconnecting stale peer and retrying...");
-      try {
-        this.serverPeer.disconnect("now");
-      } catch {
-        // no-op
-      }
-      this.serverPeer = null;
-      this.scheduleUpstreamRetry();
-      return false;
-    }
-
-    if (!this.proxyClientListening) {
-      this.proxyClient.listen();
-      this.proxyClientListening = true;
-    }
-
-    this.logger.debug(`Connecting upstream -> ${this.pendingAddress}:${this.pendingPort}`);
-    let ok = this.proxyClient.connect(this.pendingAddress, this.pendingPort);
-    if (!ok) {
-      const peerCount = this.getProxyClientPeerCount();
-      this.logger.warn(
-        `Failed to initiate upstream connection to ${this.pendingAddress}:${this.pendingPort}`
-        + (peerCount >= 0 ? ` (peerCount=${peerCount})` : "")
-      );
-
-      const resetCount = this.cleanupProxyClientPeers("connect-init-failed");
-      if (resetCount > 0) {
-        ok = this.proxyClient.connect(this.pendingAddress, this.pendingPort);
-      }
-
-      if (!ok) {
-        const peerCountAfter = this.getProxyClientPeerCount();
-        this.logger.warn(
-          `Retry after peer reset still failed for ${this.pendingAddress}:${this.pendingPort}`
-          + (peerCountAfter >= 0 ? ` (peerCount=${peerCountAfter})` : "")
-        );
-        this.scheduleUpstreamRetry();
-        return false;
-      }
-    }
-
-    if (ok) {
-      this.logger.info(`Initiated upstream ENet connect to ${this.pendingAddress}:${this.pendingPort}`);
-      this.clearUpstreamRetry();
-      this.pendingAddress = "";
-      this.pendingPort = 65535;
-      return true;
-    }
-
-    if (!ok) {
-      this.scheduleUpstreamRetry();
-      return false;
-    }
-    return false;
-  }
-
-  clearUpstreamRetry() {
-    if (this.upstreamRetryTimer) {
-      clearTimeout(this.upstreamRetryTimer);
-      this.upstreamRetryTimer = null;
-    }
-    this.upstreamRetryCount = 0;
-  }
-
-  scheduleUpstreamRetry() {
-    if (!this.clientPeer || !this.pendingAddress || !isInRangePort(this.pendingPort)) {
-      return;
-    }
-
-    if (this.upstreamRetryTimer) {
-      return;
-    }
-
-    this.upstreamRetryCount += 1;
-    if (this.upstreamRetryCount > 12) {
-      this.logger.error(
-        `Exceeded upstream retry budget for ${this.pendingAddress}:${this.pendingPort}. `
-        + "Wait for next OnSendToServer/update."
-      );
-      return;
-    }
-
-    const delayMs = Math.min(3000, 250 * this.upstreamRetryCount);
-    this.logger.warn(
-      `Retrying upstream connection (${this.upstreamRetryCount}/12) in ${delayMs}ms `
-      + `to ${this.pendingAddress}:${this.pendingPort}`
-    );
-    this.upstreamRetryTimer = setTimeout(() => {
-      this.upstreamRetryTimer = null;
-      this.connectPendingServer();
-    }, delayMs);
-  }
-
+  // Returns a promise only when an async hook is still running; see HookPipeline.run().
   emitScriptEvent(name, context) {
     try {
-      this.scriptEvents.emit(name, context);
+      return this.scriptEvents.run(name, context);
     } catch (error) {
       this.logger.error(`Script event "${name}" failed: ${error.message}`);
-    }
-  }
-
-  logDecoded(direction, parsed, raw) {
-    if (parsed.kind === "text") {
-      if (this.config.log.printMessage) {
-        this.logger.info(`[${direction}] ${parsed.packetId}:\n${parsed.text}`);
-      }
-      return;
-    }
-
-    if (parsed.kind === "tank") {
-      if (this.config.log.printGameUpdatePacket) {
-        this.logger.info(`[${direction}] Tank header: ${toHex(raw.subarray(0, Math.min(60, raw.length)))}`);
-      }
-      if (this.config.log.printVariant && Array.isArray(parsed.variantArgs)) {
-        this.logger.info(`[${direction}] Variant ${parsed.variantFunction}: ${JSON.stringify(parsed.variantArgs)}`);
-      }
-      if (this.config.log.printExtra && parsed.extra && parsed.extra.length > 1 && !Array.isArray(parsed.variantArgs)) {
-        this.logger.debug(`[${direction}] Extra: ${toHex(parsed.extra)}`);
-      }
-    }
-  }
-
-  handleServerBoundPacket(channelId, rawData) {
-    const parsed = parsePacket(rawData);
-    this.logDecoded("ServerBound", parsed, rawData);
-
-    const context = {
-      direction: "ServerBound",
-      channelId,
-      parsed,
-      raw: rawData,
-      canceled: false
-    };
-
-    if (parsed.packetId === PacketId.JoinRequest) {
-      this.world.clear();
-    }
-
-    if (parsed.packetId === PacketId.Input) {
-      const candidates = new Set();
-      const directText = String(parsed.inputText || "");
-      if (directText) {
-        candidates.add(directText);
-      }
-      const fallbackText = extractInputTextFallback(parsed.text || "");
-      if (fallbackText) {
-        candidates.add(fallbackText);
-      }
-
-      let executed = false;
-      for (const candidate of candidates) {
-        if (this.commandRegistry.execute(candidate, { proxy: this, logger: this.logger })) {
-          executed = true;
-          break;
-        }
-      }
-
-      if (executed) {
-        context.canceled = true;
-      } else if (candidates.size > 0) {
-        this.logger.debug(`Input command not intercepted. Candidates: ${JSON.stringify([...candidates])}`);
-      }
-    }
-
-    if (parsed.packetId === PacketId.Quit) {
-      context.canceled = true;
-      if (this.clientPeer) {
-        this.clientPeer.disconnect("normal");
-      }
-      if (this.serverPeer) {
-        this.serverPeer.disconnect("now");
-      }
-    }
-
-    if (parsed.packetId === PacketId.Disconnect) {
-      context.canceled = true;
-      if (this.clientPeer) {
-        this.clientPeer.disconnect("now");
-      }
-      if (this.serverPeer) {
-        this.serverPeer.disconnect("now");
-      }
-    }
-
-    this.emitScriptEvent("serverBoundPacket", context);
-    if (context.canceled) {
-      return;
-    }
-
-    if (!this.serverPeer) {
-      return;
-    }
-
-    this.sendToServer(context.raw, channelId);
-  }
-
-  handleClientBoundPacket(channelId, rawData) {
-    const hadTrailingNull = rawData.length > 0 && rawData[rawData.length - 1] === 0;
-    const parsed = parsePacket(rawData);
-    this.logDecoded("ClientBound", parsed, rawData);
-
-    const context = {
-      direction: "ClientBound",
-      channelId,
-      parsed,
-      raw: rawData,
-      canceled: false
-    };
-
-    if (parsed.packetId === PacketId.OnSendToServer && Array.isArray(parsed.variantArgs)) {
-      const sendToServer = parseOnSendToServer(parsed.variantArgs);
-      if (sendToServer) {
-        this.logger.info(`OnSendToServer args length=${parsed.variantArgs.length}, upstream=${sendToServer.address}:${sendToServer.port}`);
-        this.pendingAddress = sendToServer.address;
-        this.pendingPort = sendToServer.port;
-
-        const modifiedExtra = rewriteOnSendToServerExtra(
-          parsed.extra,
-          "127.0.0.1",
-          this.config.server.port
-        );
-
-        if (modifiedExtra) {
-          const modifiedTank = buildTankPacket({
-            header: parsed.header,
-            packetType: GAME_PACKET.CALL_FUNCTION,
-            netId: parsed.netId,
-            targetNetId: parsed.targetNetId,
-            state: parsed.state,
-            info: parsed.info,
-            extra: modifiedExtra
-          });
-
-          context.raw = hadTrailingNull ? ensureNullTerminator(modifiedTank) : modifiedTank;
-        } else {
-          this.logger.warn("Failed to rewrite OnSendToServer variant payload. Forwarding original payload.");
-        }
-
-        if (this.clientPeer && !this.serverPeer) {
-          this.logger.info(
-            `Attempting immediate upstream connect after OnSendToServer -> ${this.pendingAddress}:${this.pendingPort}`
-          );
-          this.connectPendingServer();
-        } else if (this.serverPeer) {
-          this.logger.info(
-            "Received OnSendToServer while already connected upstream. "
-            + "Keeping pending endpoint for next reconnect."
-          );
-        }
-      } else {
-        this.logger.warn("Failed to parse OnSendToServer packet. Forwarding original variant payload.");
-      }
-    }
-
-    if (parsed.packetId === PacketId.OnSpawn && Array.isArray(parsed.variantArgs)) {
-      const spawnData = parseOnSpawn(parsed.variantArgs);
-      if (spawnData) {
-        this.world.onSpawn(spawnData);
-      }
-    }
-
-    if (parsed.packetId === PacketId.OnRemove && Array.isArray(parsed.variantArgs)) {
-      const removeData = parseOnRemove(parsed.variantArgs);
-      if (removeData) {
-        this.world.onRemove(removeData.netId);
-      }
-    }
-
-    this.emitScriptEvent("clientBoundPacket", context);
-    if (context.canceled) {
-      return;
-    }
-
-    if (!this.clientPeer) {
-      return;
-    }
-
-    this.sendToClient(context.raw, channelId);
-  }
-
-  sendToServer(buffer, channelId = 0) {
-    if (!this.serverPeer) {
-      return false;
-    }
-
-    try {
-      this.proxyClient.send(this.serverPeer.data.netID, channelId, buffer);
-      return true;
-    } catch (error) {
-      this.logger.error(`Failed sending to server: ${error.message}`);
-      return false;
-    }
-  }
-
-  sendToClient(buffer, channelId = 0) {
-    if (!this.clientPeer) {
-      return false;
-    }
-
-    try {
-      this.proxyServer.send(this.clientPeer.data.netID, channelId, buffer);
-      return true;
-    } catch (error) {
-      this.logger.error(`Failed sending to client: ${error.message}`);
-      return false;
-    }
-  }
-
-  sendLog(message) {
-    const parser = new TextParse();
-    parser.add("action", "log");
-    parser.add("msg", String(message));
-    return this.sendToClient(buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw()), 0);
-  }
-
-  sendQuitToExit() {
-    const parser = new TextParse();
-    parser.add("action", "quit_to_exit");
-    return this.sendToServer(buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw()), 0);
-  }
-
-  sendJoinRequest(worldName, invitedWorld = false) {
-    const parser = new TextParse();
-    parser.add("action", "join_request");
-    parser.add("name", String(worldName || ""));
-    parser.add("invitedWorld", invitedWorld ? "1" : "0");
-    return this.sendToServer(buildTextPacket(NET_MESSAGE.GAME_MESSAGE, parser.getRaw()), 0);
-  }
-
-  sendVariantToClient(functionName, args = [], options = {}) {
-    try {
-      const variantArgs = [String(functionName), ...args];
-      const extra = encodeVariantArgs(variantArgs);
-      const tank = buildTankPacket({
-        packetType: GAME_PACKET.CALL_FUNCTION,
-        netId: Number(options.netId ?? -1),
-        targetNetId: Number(options.targetNetId ?? 0),
-        info: Number(options.delay ?? 0),
-        extra
-      });
-      return this.sendToClient(ensureNullTerminator(tank), Number(options.channelId ?? 0));
-    } catch (error) {
-      this.logger.error(`Failed to send client variant "${functionName}": ${error.message}`);
-      return false;
+      return undefined;
     }
   }
 
@@ -1032,8 +781,10 @@ class ProxyCore extends EventEmitter {
       throw new Error("Received unparseable server_data.php response");
     }
 
-    this.pendingAddress = parser.get("server", 0);
-    this.pendingPort = parser.getInt("port", 0, 65535);
+    this.loginEndpoint = {
+      address: parser.get("server", 0),
+      port: parser.getInt("port", 0, 65535)
+    };
 
     if (!parser.contains("type")) {
       parser.set("type", "1");
@@ -1073,6 +824,14 @@ class ProxyCore extends EventEmitter {
     );
 
     this.logger.debug(`Modified server_data.php:\n${output}`);
+    this.recorder.recordServerData({
+      method: String(req.method || "GET").toUpperCase(),
+      route: normalizeRequestPath(req.url),
+      request: params.toString(),
+      upstreamHost: selectedHost,
+      upstreamResponse: responseBody,
+      response: output
+    });
     return output;
   }
 
@@ -0,0 +1,333 @@
+"use strict";
+
+const { Client } = require("growtopia.js");
+
+const { loadConfig } = require("./config");
+const { createLogger } = require("./logger");
+const { ProxyCore } = require("./proxyCore");
+const { checkUdpPortAvailable, findFreeUdpPort } = require("./ports");
+const { readCaptureFile } = require("./sessionRecorder");
+const { parsePacket, toHex } = require("./packet");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function describePacket(buffer) {
+  const parsed = parsePacket(buffer);
+  return parsed.variantFunction ? `${parsed.packetId} (${parsed.variantFunction})` : parsed.packetId;
+}
+
+// Session ids in capture order. Version 1 captures have none and count as one session.
+function listCaptureSessions(records) {
+  const sessions = [];
+  for (const record of records) {
+    if ((record.type === "packet" || record.type === "endpoints") && !sessions.includes(record.session)) {
+      sessions.push(record.session);
+    }
+  }
+
+  return sessions;
+}
+
+// Keeps the header and the packet and endpoints records of one session.
+function selectCaptureSession(records, session) {
+  return records.filter((record) => (
+    (record.type !== "packet" && record.type !== "endpoints") || String(record.session) === String(session)
+  ));
+}
+
+// Plays a capture file through a real ProxyCore: a local ENet peer acts as the game client,
+// another as the upstream server, and every forwarded packet is compared with the capture.
+class ReplayHarness {
+  constructor(records, config, logger, options = {}) {
+    this.records = Array.isArray(records) ? records : [];
+    this.config = config;
+    this.logger = logger;
+    this.timeoutMs = Number(options.timeoutMs ?? 3000);
+    this.settleMs = Number(options.settleMs ?? 250);
+
+    this.proxy = null;
+    this.fakeClient = null;
+    this.fakeServer = null;
+    this.clientNetId = -1;
+    this.serverNetId = -1;
+    this.ended = "";
+
+    // Packets that left the proxy, keyed by direction: ServerBound ones reach the fake server.
+    this.arrivals = { ServerBound: [], ClientBound: [] };
+    this.waiters = { ServerBound: null, ClientBound: null };
+  }
+
+  async resolvePorts() {
+    const header = this.records.find((record) => record.type === "header");
+    const recordedPort = Number(header?.proxyPort) || this.config.server.port;
+
+    let proxyPort = recordedPort;
+    if (!(await checkUdpPortAvailable(proxyPort))) {
+      proxyPort = await findFreeUdpPort(recordedPort + 1, Math.min(recordedPort + 200, 65535));
+      if (proxyPort < 0) {
+        throw new Error(`No free UDP port near ${recordedPort} for the replay proxy.`);
+      }
+
+      // OnSendToServer rewrites embed the proxy port, so those packets will differ.
+      this.logger.warn(`UDP port ${recordedPort} is busy. Replaying on ${proxyPort}; OnSendToServer bytes will diverge.`);
+    }
+
+    const serverPort = await findFreeUdpPort(proxyPort + 1, Math.min(proxyPort + 200, 65535));
+    if (serverPort < 0) {
+      throw new Error("No free UDP port for the fake upstream server.");
+    }
+
+    return { proxyPort, serverPort };
+  }
+
+  pushArrival(direction, data) {
+    const waiter = this.waiters[direction];
+    if (waiter) {
+      this.waiters[direction] = null;
+      waiter(Buffer.from(data));
+      return;
+    }
+
+    this.arrivals[direction].push(Buffer.from(data));
+  }
+
+  nextArrival(direction) {
+    if (this.arrivals[direction].length > 0) {
+      return Promise.resolve(this.arrivals[direction].shift());
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.waiters[direction] = null;
+        resolve(null);
+      }, this.timeoutMs);
+
+      this.waiters[direction] = (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      };
+    });
+  }
+
+  async setup() {
+    const { proxyPort, serverPort } = await this.resolvePorts();
+    this.config.server.port = proxyPort;
+    this.config.client.localPort = 0;
+    this.config.record.enabled = false;
+
+    this.fakeServer = new Client({
+      enet: {
+        ip: "127.0.0.1",
+        port: serverPort,
+        maxPeers: 4,
+        useNewServerPacket: true,
+        channelLimit: 2
+      }
+    });
+
+    this.fakeClient = new Client({
+      enet: {
+        ip: "0.0.0.0",
+        port: 0,
+        maxPeers: 1,
+        useNewPacket: { asClient: true },
+        channelLimit: 2
+      }
+    });
+
+    this.proxy = new ProxyCore(this.config, this.logger, {
+      webServer: false,
+      controlApi: false,
+      dashboard: false,
+      upstream: { address: "127.0.0.1", port: serverPort }
+    });
+
+    this.fakeServer.on("connect", (netId) => {
+      this.serverNetId = netId;
+    });
+    this.fakeServer.on("raw", (_netId, _channelId, data) => this.pushArrival("ServerBound", data));
+    this.fakeServer.on("disconnect", () => {
+      this.ended = this.ended || "proxy disconnected from the fake server";
+    });
+
+    this.fakeClient.on("connect", (netId) => {
+      this.clientNetId = netId;
+    });
+    this.fakeClient.on("raw", (_netId, _channelId, data) => this.pushArrival("ClientBound", data));
+    this.fakeClient.on("disconnect", () => {
+      this.ended = this.ended || "proxy disconnected the fake client";
+    });
+
+    this.fakeServer.listen();
+    await this.proxy.start();
+    this.fakeClient.listen();
+    if (!this.fakeClient.connect("127.0.0.1", proxyPort)) {
+      throw new Error(`Fake client failed to connect to proxy port ${proxyPort}`);
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+    while (this.clientNetId < 0 || this.serverNetId < 0 || !this.proxy.isServerConnected()) {
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for the replay peers to connect through the proxy.");
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(10);
+    }
+  }
+
+  sendFromOrigin(record) {
+    if (record.direction === "ServerBound") {
+      this.fakeClient.send(this.clientNetId, record.channelId, record.data);
+      return;
+    }
+
+    this.fakeServer.send(this.serverNetId, record.channelId, record.data);
+  }
+
+  async run() {
+    const report = {
+      total: 0,
+      matched: 0,
+      divergences: [],
+      unexpected: [],
+      ended: ""
+    };
+
+    await this.setup();
+
+    for (let index = 0; index < this.records.length; index += 1) {
+      const record = this.records[index];
+      if (record.type !== "packet") {
+        continue;
+      }
+
+      if (this.ended) {
+        report.ended = this.ended;
+        break;
+      }
+
+      report.total += 1;
+      if (!record.injected) {
+        this.sendFromOrigin(record);
+      }
+
+      if (record.canceled) {
+        continue;
+      }
+
+      const expected = record.forwarded ?? record.data;
+      // eslint-disable-next-line no-await-in-loop
+      const actual = await this.nextArrival(record.direction);
+      if (actual && actual.equals(expected)) {
+        report.matched += 1;
+        continue;
+      }
+
+      report.divergences.push({
+        index,
+        t: record.t,
+        direction: record.direction,
+        channelId: record.channelId,
+        injected: Boolean(record.injected),
+        packetId: describePacket(expected),
+        expected,
+        actual
+      });
+    }
+
+    await sleep(this.settleMs);
+    for (const direction of Object.keys(this.arrivals)) {
+      for (const data of this.arrivals[direction]) {
+        report.unexpected.push({ direction, packetId: describePacket(data), data });
+      }
+    }
+
+    this.proxy.stop();
+    return report;
+  }
+}
+
+function printReport(report, logger) {
+  logger.info(
+    `Replayed ${report.total} packets: ${report.matched} matched, `
+    + `${report.divergences.length} diverged, ${report.unexpected.length} unexpected`
+  );
+
+  if (report.ended) {
+    logger.warn(`Replay stopped early: ${report.ended}`);
+  }
+
+  for (const entry of report.divergences) {
+    logger.error(
+      `#${entry.index} [${entry.direction}${entry.injected ? ", injected" : ""}] ${entry.packetId} `
+      + `at ${entry.t.toFixed(3)}ms: ${entry.actual ? "bytes differ" : "not forwarded"}`
+    );
+    logger.error(`\texpected: ${toHex(entry.expected)}`);
+    if (entry.actual) {
+      logger.error(`\tactual:   ${toHex(entry.actual)}`);
+    }
+  }
+
+  for (const entry of report.unexpected) {
+    logger.error(`Unexpected [${entry.direction}] ${entry.packetId}: ${toHex(entry.data)}`);
+  }
+}
+
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+}
+
+async function main(argv) {
+  const args = [...argv];
+  const timeoutMs = Number(takeOption(args, "--timeout") ?? 3000);
+  const sessionArg = takeOption(args, "--session");
+  const capturePath = args[0];
+  if (!capturePath) {
+    throw new Error("Usage: npm run replay -- <capture.jsonl> [--timeout <ms>] [--session <id>]");
+  }
+
+  const { config } = loadConfig("config.json");
+  const logger = createLogger(config.log.level);
+  let records = readCaptureFile(capturePath);
+
+  // The harness plays a single client, so a capture of several sessions is replayed one at a time.
+  const sessions = listCaptureSessions(records);
+  if (sessionArg !== undefined || sessions.length > 1) {
+    const session = sessionArg ?? sessions[0];
+    if (!sessions.some((id) => String(id) === String(session))) {
+      throw new Error(`Capture has no session ${session} (sessions: ${sessions.join(", ")})`);
+    }
+    if (sessions.length > 1) {
+      logger.info(
+        `Capture has sessions ${sessions.join(", ")}; replaying session ${session} (pick one with --session <id>)`
+      );
+    }
+    records = selectCaptureSession(records, session);
+  }
+
+  const harness = new ReplayHarness(records, config, logger, { timeoutMs });
+  const report = await harness.run();
+  printReport(report, logger);
+
+  return report.divergences.length === 0 && report.unexpected.length === 0 && !report.ended;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((ok) => {
+    // growtopia.js service loops never settle on their own, so exit explicitly.
+    process.exit(ok ? 0 : 1);
+  }).catch((error) => {
+    console.error(`[FATAL] ${error.stack || error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  listCaptureSessions,
+  selectCaptureSession,
+  ReplayHarness,
+  printReport
+};
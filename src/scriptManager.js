@@ -3,13 +3,82 @@
 const fs = require("node:fs");
 const path = require("node:path");
 
+const { TaskCanceledError } = require("./taskScheduler");
+const { ScriptStorage } = require("./scriptStorage");
+
+const WATCH_DEBOUNCE_MS = 150;
+
+// Module exports wired to lifecycle events, called as hook(api, event).
+const LIFECYCLE_EXPORTS = {
+  onConnect: "clientConnected",
+  onDisconnect: "clientDisconnected"
+};
+
 class ScriptManager {
-  constructor(config = {}, logger = console) {
+  constructor(config = {}, logger = console, host = {}) {
     this.config = {
       enabled: config.enabled !== false,
-      path: config.path || "scripts"
+      path: config.path || "scripts",
+      watch: config.watch === true,
+      maxErrors: Number.isInteger(config.maxErrors) ? config.maxErrors : 5
     };
     this.logger = logger;
+
+    // Shared proxy objects every script registers into; see createApi().
+    this.events = host.events ?? null;
+    this.commands = host.commands ?? null;
+    this.scheduler = host.scheduler ?? null;
+    this.dialogs = host.dialogs ?? null;
+    this.storagePath = host.storagePath || "data";
+
+    this.baseApi = {};
+    this.scripts = new Map();
+    // Kept across reloads so a script's storage survives being swapped in again.
+    this.storages = new Map();
+    this.disabled = new Set((Array.isArray(config.disabled) ? config.disabled : []).map((name) => this.resolveScriptFile(name)));
+    this.watcher = null;
+    this.watchTimers = new Map();
+  }
+
+  getScriptDir() {
+    return path.resolve(this.config.path);
+  }
+
+  listScriptFiles() {
+    return fs
+      .readdirSync(this.getScriptDir())
+      .filter((entry) => entry.endsWith(".js"))
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  resolveScriptFile(name) {
+    const base = path.basename(String(name || "").trim());
+    if (!base) {
+      return "";
+    }
+
+    return base.endsWith(".js") ? base : `${base}.js`;
+  }
+
+  getLoadedScripts() {
+    return [...this.scripts.keys()];
+  }
+
+  getDisabledScripts() {
+    return [...this.disabled];
+  }
+
+  getScript(file) {
+    return this.scripts.get(file) ?? null;
+  }
+
+  getStorage(file) {
+    if (!this.storages.has(file)) {
+      const filePath = path.resolve(this.storagePath, `${path.basename(file, ".js")}.json`);
+      this.storages.set(file, new ScriptStorage(filePath, this.logger));
+    }
+
+    return this.storages.get(file);
   }
 
   load(api) {
@@ -18,28 +87,278 @@ class ScriptManager {
       return;
     }
 
-    const scriptDir = path.resolve(this.config.path);
-    fs.mkdirSync(scriptDir, { recursive: true });
+    this.baseApi = api;
+    fs.mkdirSync(this.getScriptDir(), { recursive: true });
 
-    const files = fs
-      .readdirSync(scriptDir)
-      .filter((entry) => entry.endsWith(".js"))
-      .sort((a, b) => a.localeCompare(b));
+    for (const file of this.listScriptFiles()) {
+      if (this.disabled.has(file)) {
+        this.logger.info(`Skipped disabled script ${file}`);
+        continue;
+      }
+
+      this.loadScript(file);
+    }
+
+    if (this.config.watch) {
+      this.startWatching();
+    }
+  }
+
+  // Runs a script callback attributed to its owner, so tasks it schedules are tracked, and
+  // contains its failures so other scripts' listeners for the same event still run.
+  // Commands pass `rethrow` so the registry can also report the failure to the player. A
+  // canceled command or scheduler sleep is not a script error.
+  wrapCallback(record, label, fn, rethrow = false) {
+    const fail = (error) => {
+      if (!(error instanceof TaskCanceledError)) {
+        this.handleScriptError(record, label, error);
+      }
+      if (rethrow) {
+        throw error;
+      }
+      return undefined;
+    };
 
-    for (const file of files) {
-      const fullPath = path.join(scriptDir, file);
+    return (...args) => {
       try {
-        delete require.cache[require.resolve(fullPath)];
-        const mod = require(fullPath);
-        if (typeof mod.register === "function") {
-          mod.register(api);
-          this.logger.info(`Loaded script ${file}`);
-        } else {
-          this.logger.warn(`Ignored script ${file} (missing register(api) export)`);
+        const result = this.scheduler
+          ? this.scheduler.runAs(record.file, () => fn(...args))
+          : fn(...args);
+        if (result && typeof result.then === "function") {
+          return result.then(undefined, fail);
+        }
+
+        return result;
+      } catch (error) {
+        return fail(error);
+      }
+    };
+  }
+
+  handleScriptError(record, label, error) {
+    record.errors += 1;
+    this.logger.error(`Script ${record.file} failed in ${label}: ${error.message}`);
+
+    if (this.config.maxErrors > 0 && record.errors >= this.config.maxErrors && this.scripts.get(record.file) === record) {
+      this.disableScript(record.file, `${record.errors} errors`);
+    }
+  }
+
+  // Every listener, command and scheduled task a script creates goes through its own api,
+  // so unloadScript() can remove exactly what that script added.
+  createApi(record) {
+    return {
+      ...this.baseApi,
+      script: record.file,
+      storage: this.getStorage(record.file),
+      on: (eventName, callback, options = {}) => {
+        if (typeof callback !== "function") {
+          return;
+        }
+
+        const listener = this.wrapCallback(record, `"${eventName}" listener`, callback);
+        record.listeners.push([eventName, listener]);
+        this.events.on(eventName, listener, {
+          priority: options.priority,
+          filter: options.filter,
+          label: options.name ? `${record.file}:${options.name}` : record.file
+        });
+      },
+      registerCommand: (name, description, handler) => {
+        if (typeof handler !== "function") {
+          return;
+        }
+
+        const key = String(name || "").trim().toLowerCase();
+        record.commands.add(key);
+        this.commands.register(name, description, this.wrapCallback(record, `command "${key}"`, handler, true), record.file);
+      }
+    };
+  }
+
+  loadScript(file) {
+    const fullPath = path.join(this.getScriptDir(), file);
+    let mod;
+    try {
+      delete require.cache[require.resolve(fullPath)];
+      mod = require(fullPath);
+    } catch (error) {
+      this.logger.error(`Failed to load script ${file}: ${error.message}`);
+      return false;
+    }
+
+    if (typeof mod.register !== "function") {
+      this.logger.warn(`Ignored script ${file} (missing register(api) export)`);
+      return false;
+    }
+
+    // A broken edit is rejected above, before the running version is torn down.
+    this.unloadScript(file);
+
+    const record = {
+      file,
+      fullPath,
+      module: mod,
+      api: null,
+      listeners: [],
+      commands: new Set(),
+      errors: 0
+    };
+    record.api = this.createApi(record);
+    this.scripts.set(file, record);
+    try {
+      mod.register(record.api);
+      for (const [exportName, eventName] of Object.entries(LIFECYCLE_EXPORTS)) {
+        if (typeof mod[exportName] === "function") {
+          record.api.on(eventName, (event) => mod[exportName](record.api, event));
         }
+      }
+      this.logger.info(`Loaded script ${file}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to load script ${file}: ${error.message}`);
+      this.unloadScript(file);
+      return false;
+    }
+  }
+
+  unloadScript(file) {
+    const record = this.scripts.get(file);
+    if (!record) {
+      return false;
+    }
+
+    // Removed from the map first so a failing unload() hook cannot disable it re-entrantly.
+    this.scripts.delete(file);
+    if (typeof record.module.unload === "function") {
+      try {
+        record.module.unload(record.api);
       } catch (error) {
-        this.logger.error(`Failed to load script ${file}: ${error.message}`);
+        this.logger.error(`Script ${file} failed in unload(): ${error.message}`);
+      }
+    }
+
+    for (const [eventName, listener] of record.listeners) {
+      this.events.off(eventName, listener);
+    }
+
+    for (const name of record.commands) {
+      this.commands.unregister(name, file);
+    }
+
+    if (this.scheduler) {
+      this.scheduler.cancelByOwner(file);
+    }
+
+    if (this.dialogs) {
+      this.dialogs.removeByOwner(file);
+    }
+
+    delete require.cache[record.fullPath];
+    return true;
+  }
+
+  disableScript(name, reason = "") {
+    const file = this.resolveScriptFile(name);
+    if (!this.scripts.has(file)) {
+      return false;
+    }
+
+    this.disabled.add(file);
+    this.unloadScript(file);
+    this.logger.warn(`Disabled script ${file}${reason ? ` (${reason})` : ""}`);
+    return true;
+  }
+
+  enableScript(name) {
+    const file = this.resolveScriptFile(name);
+    this.disabled.delete(file);
+    if (!fs.existsSync(path.join(this.getScriptDir(), file))) {
+      throw new Error(`Script '${file}' not found`);
+    }
+
+    return this.loadScript(file);
+  }
+
+  // Reloads one script, or every enabled script in the directory when no name is given.
+  // Naming a disabled script enables it again. Returns the files that loaded successfully.
+  reload(name = "") {
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    if (name) {
+      const file = this.resolveScriptFile(name);
+      if (!fs.existsSync(path.join(this.getScriptDir(), file))) {
+        throw new Error(`Script '${file}' not found`);
+      }
+
+      this.disabled.delete(file);
+      return this.loadScript(file) ? [file] : [];
+    }
+
+    const files = this.listScriptFiles();
+    for (const file of this.getLoadedScripts()) {
+      if (!files.includes(file)) {
+        this.unloadScript(file);
+        this.logger.info(`Unloaded script ${file}`);
+      }
+    }
+
+    return files.filter((file) => !this.disabled.has(file) && this.loadScript(file));
+  }
+
+  startWatching() {
+    if (this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = fs.watch(this.getScriptDir(), (_eventType, fileName) => {
+        if (fileName && String(fileName).endsWith(".js")) {
+          this.queueWatchReload(String(fileName));
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to watch script directory: ${error.message}`);
+      return;
+    }
+
+    this.watcher.on("error", (error) => {
+      this.logger.error(`Script watcher error: ${error.message}`);
+    });
+    this.logger.info(`Watching ${this.getScriptDir()} for script changes`);
+  }
+
+  // Editors emit several change events per save; reload once they settle.
+  queueWatchReload(file) {
+    clearTimeout(this.watchTimers.get(file));
+    this.watchTimers.set(file, setTimeout(() => {
+      this.watchTimers.delete(file);
+      if (this.disabled.has(file)) {
+        return;
       }
+
+      if (fs.existsSync(path.join(this.getScriptDir(), file))) {
+        this.loadScript(file);
+        return;
+      }
+
+      if (this.unloadScript(file)) {
+        this.logger.info(`Unloaded script ${file}`);
+      }
+    }, WATCH_DEBOUNCE_MS));
+  }
+
+  stopWatching() {
+    for (const timer of this.watchTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchTimers.clear();
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
     }
   }
 }
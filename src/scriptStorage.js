@@ -0,0 +1,151 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const STORAGE_VERSION = 1;
+
+// Writes to a temp file in the same directory, fsyncs it, then renames over the target.
+// rename() is atomic on the same filesystem, so a crash leaves either the old or the new file.
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tempPath, filePath);
+}
+
+// Key-value store for one script, persisted as a JSON file under the storage directory.
+class ScriptStorage {
+  constructor(filePath, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) {
+      return;
+    }
+
+    this.entries = new Map();
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const [key, entry] of Object.entries(data.entries ?? {})) {
+        this.entries.set(key, entry);
+      }
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it on the next set().
+      const brokenPath = `${this.filePath}.broken`;
+      this.logger.error(`Storage file "${this.filePath}" is unreadable (${error.message}), moved to ${brokenPath}`);
+      try {
+        fs.renameSync(this.filePath, brokenPath);
+      } catch {
+        // Nothing else to preserve.
+      }
+    }
+  }
+
+  save() {
+    const entries = {};
+    for (const [key, entry] of this.entries) {
+      entries[key] = entry;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileAtomic(this.filePath, `${JSON.stringify({ version: STORAGE_VERSION, entries }, null, 2)}\n`);
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return typeof entry.expiresAt === "number" && entry.expiresAt <= now;
+  }
+
+  getEntry(key) {
+    this.load();
+    const entry = this.entries.get(String(key));
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      // Dropped from memory now; the file catches up on the next write.
+      this.entries.delete(String(key));
+      return null;
+    }
+
+    return entry;
+  }
+
+  has(key) {
+    return this.getEntry(key) !== null;
+  }
+
+  get(key, fallback = undefined) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : fallback;
+  }
+
+  set(key, value, options = {}) {
+    const name = String(key ?? "");
+    if (!name) {
+      throw new TypeError("Storage key must be a non-empty string");
+    }
+
+    const json = JSON.stringify(value);
+    if (json === undefined) {
+      throw new TypeError(`Storage value for "${name}" is not JSON-serializable`);
+    }
+
+    const ttlMs = Number(options.ttlMs);
+    const entry = { value: JSON.parse(json) };
+    if (Number.isFinite(ttlMs) && ttlMs > 0) {
+      entry.expiresAt = Date.now() + ttlMs;
+    }
+
+    this.load();
+    this.entries.set(name, entry);
+    this.save();
+  }
+
+  delete(key) {
+    this.load();
+    const deleted = this.entries.delete(String(key));
+    if (deleted) {
+      this.save();
+    }
+
+    return deleted;
+  }
+
+  list(prefix = "") {
+    this.load();
+    const now = Date.now();
+    const keys = [];
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry, now)) {
+        this.entries.delete(key);
+        continue;
+      }
+
+      if (key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+
+    return keys.sort((a, b) => a.localeCompare(b));
+  }
+}
+
+module.exports = {
+  ScriptStorage,
+  writeFileAtomic
+};
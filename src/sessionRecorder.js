@@ -0,0 +1,222 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const CAPTURE_FORMAT = "growproxy-capture";
+const CAPTURE_VERSION = 2;
+
+function buildCaptureFileName(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `capture-${stamp}.jsonl`;
+}
+
+class SessionRecorder {
+  constructor(config = {}, logger = console) {
+    this.config = {
+      enabled: config.enabled === true,
+      path: config.path || "captures"
+    };
+    this.logger = logger;
+    this.stream = null;
+    this.filePath = "";
+    this.startedAt = 0n;
+    this.packetCount = 0;
+    // Hold lists of the packets being handled, by session id; see beginPacket().
+    this.heldInjected = new Map();
+  }
+
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  // Milliseconds since recording started, from the monotonic clock.
+  elapsedMs() {
+    return Number(process.hrtime.bigint() - this.startedAt) / 1e6;
+  }
+
+  start({ fileName = "", proxyPort = 0 } = {}) {
+    if (this.stream) {
+      return this.filePath;
+    }
+
+    const dir = path.resolve(this.config.path);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const baseName = String(fileName || "").trim() ? path.basename(String(fileName).trim()) : buildCaptureFileName();
+    this.filePath = path.join(dir, baseName);
+    this.stream = fs.createWriteStream(this.filePath, { flags: "a" });
+    this.stream.on("error", (error) => {
+      this.logger.error(`Capture write failed for "${this.filePath}": ${error.message}`);
+      this.stop();
+    });
+    this.startedAt = process.hrtime.bigint();
+    this.packetCount = 0;
+
+    this.write({
+      type: "header",
+      format: CAPTURE_FORMAT,
+      version: CAPTURE_VERSION,
+      startedAt: new Date().toISOString(),
+      proxyPort
+    });
+    this.logger.info(`Recording session to ${this.filePath}`);
+    return this.filePath;
+  }
+
+  stop() {
+    if (!this.stream) {
+      return "";
+    }
+
+    const filePath = this.filePath;
+    this.heldInjected.clear();
+    this.stream.end();
+    this.stream = null;
+    this.filePath = "";
+    this.logger.info(`Stopped recording (${this.packetCount} packets) -> ${filePath}`);
+    return filePath;
+  }
+
+  write(record) {
+    if (!this.stream) {
+      return;
+    }
+
+    this.stream.write(`${JSON.stringify(record)}\n`);
+  }
+
+  // Packets a session injects while one of its received packets is being handled (command
+  // replies, script sends) are held back and written after that packet, so captures stay in
+  // causal order. Other sessions keep writing meanwhile. Returns the hold list to pass back
+  // to recordPacket().
+  beginPacket(session) {
+    if (!this.stream) {
+      return null;
+    }
+
+    const held = [];
+    this.heldInjected.set(session, held);
+    return held;
+  }
+
+  // Stops holding once the synchronous part of handling ends; packets injected while async
+  // hooks run are written in real time order, ahead of the packet they are waiting on.
+  endPacketHold(session) {
+    this.heldInjected.delete(session);
+  }
+
+  recordPacket({ session, direction, channelId, original, forwarded, canceled, held = null }) {
+    if (!this.stream) {
+      return;
+    }
+
+    if (held && this.heldInjected.get(session) === held) {
+      this.heldInjected.delete(session);
+    }
+
+    const mutated = !canceled && Buffer.isBuffer(forwarded) && !forwarded.equals(original);
+    const record = {
+      type: "packet",
+      t: this.elapsedMs(),
+      session,
+      direction,
+      channelId,
+      canceled: Boolean(canceled),
+      mutated,
+      data: original.toString("base64")
+    };
+
+    if (mutated) {
+      record.forwarded = forwarded.toString("base64");
+    }
+
+    this.packetCount += 1;
+    this.write(record);
+    for (const injected of held ?? []) {
+      this.write(injected);
+    }
+  }
+
+  recordInjected({ session, direction, channelId, data }) {
+    if (!this.stream) {
+      return;
+    }
+
+    const record = {
+      type: "packet",
+      t: this.elapsedMs(),
+      session,
+      direction,
+      channelId,
+      injected: true,
+      canceled: false,
+      mutated: false,
+      data: Buffer.from(data).toString("base64")
+    };
+
+    this.packetCount += 1;
+    const held = this.heldInjected.get(session);
+    if (held) {
+      held.push(record);
+      return;
+    }
+
+    this.write(record);
+  }
+
+  recordEndpoints({ session, client, upstream }) {
+    this.write({
+      type: "endpoints",
+      t: this.elapsedMs(),
+      session,
+      client,
+      upstream
+    });
+  }
+
+  recordServerData({ method, route, request, upstreamHost, upstreamResponse, response }) {
+    this.write({
+      type: "serverData",
+      t: this.elapsedMs(),
+      method,
+      route,
+      request,
+      upstreamHost,
+      upstreamResponse,
+      response
+    });
+  }
+}
+
+function readCaptureFile(filePath) {
+  const lines = fs.readFileSync(path.resolve(filePath), "utf8").split("\n");
+  const records = [];
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const record = JSON.parse(line);
+    if (record.type === "header" && record.format !== CAPTURE_FORMAT) {
+      throw new Error(`Unsupported capture format "${record.format}"`);
+    }
+
+    if (record.type === "packet") {
+      record.data = Buffer.from(record.data, "base64");
+      record.forwarded = record.forwarded ? Buffer.from(record.forwarded, "base64") : null;
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+module.exports = {
+  CAPTURE_FORMAT,
+  CAPTURE_VERSION,
+  SessionRecorder,
+  readCaptureFile
+};
@@ -1,54 +1,333 @@
 "use strict";
 
+const { CronExpression } = require("./cron");
+
+// setTimeout() cannot wait longer; later cron runs are re-armed when this much has passed.
+const MAX_TIMER_MS = 0x7fffffff;
+
+// Ids are shared by every scheduler so /tasks ids stay unique across sessions.
+let nextTaskId = 1;
+
+// Rejection reason of a sleep() whose task was canceled.
+class TaskCanceledError extends Error {}
+
 class TaskScheduler {
-  constructor() {
-    this.tasksByTag = new Map();
+  constructor(parent = null, logger = null) {
+    this.tasks = new Map();
+    // Owner (script file) attributed to tasks scheduled while it is set; see runAs().
+    this.currentOwner = "";
+    // Per-session schedulers are children of the proxy one; see createChild().
+    this.parent = parent;
+    this.children = new Set();
+    this.logger = logger;
   }
 
-  scheduleDelayed(callback, delayMs, tag = "") {
-    if (tag) {
-      this.cancelByTag(tag);
+  // A child inherits the parent's current owner and is included in the parent's
+  // cancelByOwner()/cancelAll(), so one call clears a script's tasks in every session.
+  createChild(logger = this.logger) {
+    const child = new TaskScheduler(this, logger);
+    this.children.add(child);
+    return child;
+  }
+
+  dispose() {
+    this.cancelAll();
+    if (this.parent) {
+      this.parent.children.delete(this);
+    }
+  }
+
+  getOwner() {
+    return this.currentOwner || (this.parent ? this.parent.getOwner() : "");
+  }
+
+  runAs(owner, fn) {
+    const previous = this.currentOwner;
+    this.currentOwner = owner;
+    try {
+      return fn();
+    } finally {
+      this.currentOwner = previous;
+    }
+  }
+
+  // `options.scope: "world"` ties the task to the current world; see cancelScope().
+  addTask(kind, callback, tag, options, fields) {
+    const task = {
+      id: nextTaskId,
+      kind,
+      tag: String(tag || ""),
+      owner: this.getOwner(),
+      scope: String(options.scope || ""),
+      callback,
+      timer: null,
+      nextRunAt: 0,
+      remainingMs: 0,
+      paused: false,
+      running: false,
+      runs: 0,
+      ...fields
+    };
+    nextTaskId += 1;
+
+    this.tasks.set(task.id, task);
+    this.arm(task, kind === "cron" ? task.cron.next(new Date()).getTime() - Date.now() : task.delayMs);
+    return task.id;
+  }
+
+  arm(task, delayMs) {
+    task.nextRunAt = Date.now() + Math.max(0, delayMs);
+    task.timer = setTimeout(() => this.fire(task), Math.min(Math.max(0, delayMs), MAX_TIMER_MS));
+  }
+
+  fire(task) {
+    task.timer = null;
+    const remaining = task.nextRunAt - Date.now();
+    if (remaining > 0) {
+      this.arm(task, remaining);
+      return;
     }
 
-    const timeoutId = setTimeout(() => {
-      if (tag) {
-        this.tasksByTag.delete(tag);
+    if (task.kind === "delayed" || task.kind === "sleep") {
+      this.tasks.delete(task.id);
+      this.run(task);
+      return;
+    }
+
+    // Repeating tasks re-arm once the callback (and any promise it returns) has finished, so
+    // a slow run never overlaps the next one.
+    task.running = true;
+    const finish = () => {
+      task.running = false;
+      if (task.paused) {
+        task.remainingMs = task.intervalMs ?? 0;
+      } else if (this.tasks.get(task.id) === task) {
+        this.armNext(task);
       }
+    };
+    const pending = this.run(task);
+    if (pending) {
+      pending.then(finish);
+    } else {
+      finish();
+    }
+  }
+
+  armNext(task) {
+    if (task.kind === "cron") {
+      this.arm(task, task.cron.next(new Date()).getTime() - Date.now());
+    } else {
+      this.arm(task, task.intervalMs);
+    }
+  }
 
-      try {
-        callback();
-      } catch {
-        // Ignore user callback failures to keep scheduler loop alive.
+  // Returns a promise when the callback did, settled after failures are logged.
+  run(task) {
+    task.runs += 1;
+    try {
+      const result = this.runAs(task.owner, task.callback);
+      if (result && typeof result.then === "function") {
+        return result.then(undefined, (error) => this.reportFailure(task, error));
       }
-    }, delayMs);
+    } catch (error) {
+      this.reportFailure(task, error);
+    }
+
+    return null;
+  }
+
+  reportFailure(task, error) {
+    if (!this.logger) {
+      return;
+    }
+
+    const name = task.tag ? `"${task.tag}"` : `#${task.id}`;
+    const owner = task.owner ? ` (${task.owner})` : "";
+    this.logger.error(`Scheduled task ${name}${owner} failed: ${error?.message ?? error}`);
+  }
+
+  // Runs once after `delayMs`. Scheduling with a tag replaces the task holding that tag.
+  scheduleDelayed(callback, delayMs, tag = "", options = {}) {
+    if (tag) {
+      this.cancelByTag(tag);
+    }
+
+    return this.addTask("delayed", callback, tag, options, { delayMs: Math.max(0, Number(delayMs) || 0) });
+  }
+
+  // Runs every `intervalMs` (first run after one interval, or right away with
+  // `options.immediate`). Scheduling with a tag replaces the task holding that tag.
+  scheduleInterval(callback, intervalMs, tag = "", options = {}) {
+    const every = Number(intervalMs);
+    if (!Number.isFinite(every) || every < 1) {
+      throw new Error(`interval must be at least 1ms, got ${intervalMs}`);
+    }
 
     if (tag) {
-      this.tasksByTag.set(tag, timeoutId);
+      this.cancelByTag(tag);
     }
 
-    return timeoutId;
+    return this.addTask("interval", callback, tag, options, {
+      intervalMs: every,
+      delayMs: options.immediate ? 0 : every
+    });
   }
 
-  cancelByTag(tag) {
-    const timeoutId = this.tasksByTag.get(tag);
-    if (!timeoutId) {
+  // Runs at every minute matching a five-field cron expression ("*/5 * * * *"). Throws for an
+  // invalid expression. Scheduling with a tag replaces the task holding that tag.
+  scheduleCron(expression, callback, tag = "", options = {}) {
+    const cron = new CronExpression(expression);
+    if (tag) {
+      this.cancelByTag(tag);
+    }
+
+    return this.addTask("cron", callback, tag, options, { cron });
+  }
+
+  // Resolves after `delayMs`; rejects with TaskCanceledError if the task is canceled first
+  // (by id, tag, owner, scope or when the session goes away). Does not replace tagged tasks.
+  sleep(delayMs, tag = "", options = {}) {
+    return new Promise((resolve, reject) => {
+      this.addTask("sleep", resolve, tag, options, {
+        delayMs: Math.max(0, Number(delayMs) || 0),
+        reject
+      });
+    });
+  }
+
+  // Plain descriptions of this scheduler's own tasks, soonest first.
+  list() {
+    return [...this.tasks.values()]
+      .map((task) => ({
+        id: task.id,
+        kind: task.kind,
+        tag: task.tag,
+        owner: task.owner,
+        scope: task.scope,
+        intervalMs: task.intervalMs ?? null,
+        cron: task.cron ? task.cron.expression : null,
+        nextRunAt: task.paused || task.running ? null : task.nextRunAt,
+        paused: task.paused,
+        runs: task.runs
+      }))
+      .sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity) || a.id - b.id);
+  }
+
+  removeTask(task) {
+    clearTimeout(task.timer);
+    this.tasks.delete(task.id);
+    if (task.reject) {
+      task.reject(new TaskCanceledError(`Task ${task.tag ? `"${task.tag}"` : `#${task.id}`} was canceled`));
+    }
+  }
+
+  cancel(id) {
+    const task = this.tasks.get(Number(id));
+    if (!task) {
       return false;
     }
 
-    clearTimeout(timeoutId);
-    this.tasksByTag.delete(tag);
+    this.removeTask(task);
     return true;
   }
 
+  cancelByTag(tag) {
+    let canceled = false;
+    for (const task of this.tasks.values()) {
+      if (task.tag === tag) {
+        this.removeTask(task);
+        canceled = true;
+      }
+    }
+
+    return canceled;
+  }
+
+  // Cancels tasks scheduled with `options.scope`; sessions call this with "world" when the
+  // client leaves its world.
+  cancelScope(scope) {
+    let count = 0;
+    for (const task of this.tasks.values()) {
+      if (task.scope === scope) {
+        this.removeTask(task);
+        count += 1;
+      }
+    }
+
+    return count;
+  }
+
+  cancelByOwner(owner) {
+    let count = 0;
+    for (const task of this.tasks.values()) {
+      if (task.owner === owner) {
+        this.removeTask(task);
+        count += 1;
+      }
+    }
+
+    for (const child of this.children) {
+      count += child.cancelByOwner(owner);
+    }
+
+    return count;
+  }
+
   cancelAll() {
-    for (const timeoutId of this.tasksByTag.values()) {
-      clearTimeout(timeoutId);
+    for (const task of this.tasks.values()) {
+      this.removeTask(task);
+    }
+
+    for (const child of this.children) {
+      child.cancelAll();
+    }
+  }
+
+  // A paused task keeps its place: delays and intervals continue with the time that was
+  // left, cron tasks with their next matching minute.
+  pause(id) {
+    const task = this.tasks.get(Number(id));
+    if (!task || task.paused) {
+      return false;
+    }
+
+    task.paused = true;
+    task.remainingMs = Math.max(0, task.nextRunAt - Date.now());
+    clearTimeout(task.timer);
+    task.timer = null;
+    return true;
+  }
+
+  resume(id) {
+    const task = this.tasks.get(Number(id));
+    if (!task || !task.paused) {
+      return false;
+    }
+
+    task.paused = false;
+    // A repeating task paused mid-run re-arms itself when that run finishes.
+    if (task.running) {
+      return true;
     }
 
-    this.tasksByTag.clear();
+    if (task.kind === "cron") {
+      this.armNext(task);
+    } else {
+      this.arm(task, task.remainingMs);
+    }
+    return true;
+  }
+
+  pauseByTag(tag) {
+    return [...this.tasks.values()].filter((task) => task.tag === tag && this.pause(task.id)).length;
+  }
+
+  resumeByTag(tag) {
+    return [...this.tasks.values()].filter((task) => task.tag === tag && this.resume(task.id)).length;
   }
 }
 
 module.exports = {
-  TaskScheduler
+  TaskScheduler,
+  TaskCanceledError
 };
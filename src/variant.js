@@ -0,0 +1,116 @@
+"use strict";
+
+const VARIANT_TYPE = {
+  FLOAT: 1,
+  STRING: 2,
+  VEC2: 3,
+  VEC3: 4,
+  UNSIGNED: 5,
+  SIGNED: 9
+};
+
+const VARIANT_TYPE_NAME = {
+  [VARIANT_TYPE.FLOAT]: "float",
+  [VARIANT_TYPE.STRING]: "str",
+  [VARIANT_TYPE.VEC2]: "vec2",
+  [VARIANT_TYPE.VEC3]: "vec3",
+  [VARIANT_TYPE.UNSIGNED]: "uint",
+  [VARIANT_TYPE.SIGNED]: "int"
+};
+
+const UINT32_MAX = 0xffffffff;
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7fffffff;
+
+function toFloat(value, label) {
+  const number = Number(value);
+  if (Number.isNaN(number) && !Number.isNaN(value)) {
+    throw new TypeError(`Variant.${label} expects a number, got ${JSON.stringify(value)}`);
+  }
+
+  return number;
+}
+
+// A variant argument with an explicit wire type. Plain JS values passed to
+// encodeVariantArgs() still have their type guessed; wrap them to pin it.
+class Variant {
+  constructor(type, value) {
+    if (!VARIANT_TYPE_NAME[type]) {
+      throw new TypeError(`Unknown variant type ${type}`);
+    }
+
+    this.type = type;
+    this.value = value;
+  }
+
+  static int(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < INT32_MIN || number > INT32_MAX) {
+      throw new RangeError(`Variant.int expects an int32, got ${JSON.stringify(value)}`);
+    }
+
+    return new Variant(VARIANT_TYPE.SIGNED, number);
+  }
+
+  static uint(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > UINT32_MAX) {
+      throw new RangeError(`Variant.uint expects a uint32, got ${JSON.stringify(value)}`);
+    }
+
+    return new Variant(VARIANT_TYPE.UNSIGNED, number);
+  }
+
+  static float(value) {
+    return new Variant(VARIANT_TYPE.FLOAT, toFloat(value, "float"));
+  }
+
+  static vec2(x, y) {
+    return new Variant(VARIANT_TYPE.VEC2, [toFloat(x, "vec2"), toFloat(y, "vec2")]);
+  }
+
+  static vec3(x, y, z) {
+    return new Variant(VARIANT_TYPE.VEC3, [toFloat(x, "vec3"), toFloat(y, "vec3"), toFloat(z, "vec3")]);
+  }
+
+  static str(value) {
+    return new Variant(VARIANT_TYPE.STRING, String(value ?? ""));
+  }
+
+  static fromEntry(entry) {
+    return new Variant(entry.type, Array.isArray(entry.value) ? [...entry.value] : entry.value);
+  }
+
+  static isVariant(value) {
+    return value instanceof Variant;
+  }
+
+  get typeName() {
+    return VARIANT_TYPE_NAME[this.type];
+  }
+
+  // Same type, new value; the usual way to edit one argument of an intercepted call.
+  with(value) {
+    if (this.type === VARIANT_TYPE.VEC2 || this.type === VARIANT_TYPE.VEC3) {
+      return Variant[this.typeName](...value);
+    }
+
+    return Variant[this.typeName](value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+
+  toString() {
+    return `${this.typeName}(${Array.isArray(this.value) ? this.value.join(", ") : JSON.stringify(this.value)})`;
+  }
+}
+
+module.exports = {
+  VARIANT_TYPE,
+  UINT32_MAX,
+  INT32_MIN,
+  INT32_MAX,
+  Variant
+};
@@ -0,0 +1,233 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const { EventEmitter } = require("node:events");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+const CLOSE_CODE = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  TOO_BIG: 1009
+};
+
+// Server frames are never masked.
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Server side of one RFC 6455 connection: text and binary messages, ping/pong and the close
+// handshake. Emits "message" (string for text frames, Buffer for binary) and "close".
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.pending = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = OPCODE.TEXT;
+    this.fragmentBytes = 0;
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("close", () => this.onSocketClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  get isOpen() {
+    return !this.closed;
+  }
+
+  // Bytes queued on the socket and not yet sent, like the browser API's bufferedAmount.
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  send(message) {
+    const isText = typeof message === "string";
+    return this.write(isText ? OPCODE.TEXT : OPCODE.BINARY, isText ? Buffer.from(message, "utf8") : message);
+  }
+
+  close(code = CLOSE_CODE.NORMAL, reason = "") {
+    if (this.closed) {
+      return;
+    }
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.write(OPCODE.CLOSE, payload);
+    this.closed = true;
+    this.socket.end();
+  }
+
+  write(opcode, payload) {
+    if (this.closed || this.socket.destroyed) {
+      return false;
+    }
+
+    this.socket.write(encodeFrame(opcode, payload));
+    return true;
+  }
+
+  onData(chunk) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) {
+        return;
+      }
+
+      this.onFrame(frame);
+    }
+  }
+
+  // Returns the next complete frame, or null until more bytes arrive.
+  readFrame() {
+    const buffer = this.pending;
+    if (buffer.length < 2) {
+      return null;
+    }
+
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      const bigLength = buffer.readBigUInt64BE(2);
+      length = bigLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(bigLength);
+      offset = 10;
+    }
+
+    if (!masked) {
+      this.close(CLOSE_CODE.PROTOCOL_ERROR, "client frames must be masked");
+      return null;
+    }
+
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(CLOSE_CODE.TOO_BIG, "frame too large");
+      return null;
+    }
+
+    if (buffer.length < offset + 4 + length) {
+      return null;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i += 1) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.pending = buffer.subarray(offset + 4 + length);
+    return {
+      fin: (buffer[0] & 0x80) !== 0,
+      opcode: buffer[0] & 0x0f,
+      payload
+    };
+  }
+
+  onFrame({ fin, opcode, payload }) {
+    // Control frames may arrive between the fragments of a message.
+    if (opcode === OPCODE.PING) {
+      this.write(OPCODE.PONG, payload);
+      return;
+    }
+
+    if (opcode === OPCODE.PONG) {
+      return;
+    }
+
+    if (opcode === OPCODE.CLOSE) {
+      this.close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODE.NORMAL);
+      return;
+    }
+
+    if (opcode !== OPCODE.CONTINUATION) {
+      this.fragmentOpcode = opcode;
+      this.fragments = [];
+      this.fragmentBytes = 0;
+    }
+
+    this.fragments.push(payload);
+    this.fragmentBytes += payload.length;
+    if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+      this.close(CLOSE_CODE.TOO_BIG, "message too large");
+      return;
+    }
+
+    if (!fin) {
+      return;
+    }
+
+    const message = Buffer.concat(this.fragments);
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.emit("message", this.fragmentOpcode === OPCODE.TEXT ? message.toString("utf8") : message);
+  }
+
+  onSocketClose() {
+    this.closed = true;
+    this.emit("close");
+  }
+}
+
+// Completes the upgrade handshake for an http "upgrade" event. Returns null (after answering
+// 400) when the request is not a version 13 WebSocket upgrade.
+function acceptWebSocket(req, socket) {
+  const key = String(req.headers["sec-websocket-key"] || "");
+  const isUpgrade = String(req.headers.upgrade || "").toLowerCase() === "websocket";
+  if (!isUpgrade || !key || String(req.headers["sec-websocket-version"] || "") !== "13") {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+
+  const accept = crypto.createHash("sha1").update(`${key}${WEBSOCKET_GUID}`).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n"
+    + "Upgrade: websocket\r\n"
+    + "Connection: Upgrade\r\n"
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return new WebSocketConnection(socket);
+}
+
+module.exports = {
+  CLOSE_CODE,
+  WebSocketConnection,
+  acceptWebSocket
+};
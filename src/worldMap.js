@@ -0,0 +1,251 @@
+"use strict";
+
+const { BinaryReader } = require("./binaryReader");
+
+const TILE_FLAG = {
+  HAS_EXTRA_DATA: 0x1,
+  LOCKED: 0x2,
+  SPLICED: 0x4,
+  WILL_SPAWN_SEEDS: 0x8,
+  SEEDLING: 0x10,
+  FLIPPED: 0x20,
+  ENABLED: 0x40,
+  PUBLIC: 0x80,
+  EXTRA_FRAME: 0x100,
+  SILENCED: 0x200,
+  WATER: 0x400,
+  GLUE: 0x800,
+  FIRE: 0x1000,
+  RED: 0x2000,
+  GREEN: 0x4000,
+  BLUE: 0x8000
+};
+
+const TILE_EXTRA_TYPE = {
+  DOOR: 1,
+  SIGN: 2,
+  LOCK: 3,
+  SEED: 4,
+  MAILBOX: 6,
+  BULLETIN: 7,
+  DICE: 8,
+  PROVIDER: 9,
+  ACHIEVEMENT_BLOCK: 10,
+  HEART_MONITOR: 11,
+  DONATION_BOX: 12,
+  BUNNY_EGG: 15,
+  GAME_PACK: 16,
+  GAME_GENERATOR: 17,
+  XENONITE: 18,
+  DISPLAY_BLOCK: 23,
+  VENDING_MACHINE: 24
+};
+
+// Per-type readers for the tile "extra" blob. The blob carries no length prefix, so an
+// unknown type makes the rest of the map unreadable; parseWorldMap stops there.
+const TILE_EXTRA_READERS = {
+  [TILE_EXTRA_TYPE.DOOR]: (reader) => ({
+    label: reader.string16(),
+    unknown: reader.u8()
+  }),
+  [TILE_EXTRA_TYPE.SIGN]: (reader) => ({
+    text: reader.string16(),
+    unknown: reader.i32()
+  }),
+  [TILE_EXTRA_TYPE.LOCK]: (reader) => {
+    const settings = reader.u8();
+    const ownerUserId = reader.u32();
+    const accessCount = reader.u32();
+    const accessList = [];
+    for (let i = 0; i < accessCount; i += 1) {
+      accessList.push(reader.i32());
+    }
+    const minimumLevel = reader.u8();
+    reader.skip(7);
+    return { settings, ownerUserId, accessList, minimumLevel };
+  },
+  [TILE_EXTRA_TYPE.SEED]: (reader) => ({
+    growTimeSeconds: reader.u32(),
+    fruitCount: reader.u8()
+  }),
+  [TILE_EXTRA_TYPE.MAILBOX]: readMessageBoxExtra,
+  [TILE_EXTRA_TYPE.BULLETIN]: readMessageBoxExtra,
+  [TILE_EXTRA_TYPE.DONATION_BOX]: readMessageBoxExtra,
+  [TILE_EXTRA_TYPE.DICE]: (reader) => ({
+    symbol: reader.u8()
+  }),
+  [TILE_EXTRA_TYPE.PROVIDER]: (reader) => ({
+    readyTimeSeconds: reader.u32()
+  }),
+  [TILE_EXTRA_TYPE.ACHIEVEMENT_BLOCK]: (reader) => ({
+    unknown: reader.u32(),
+    tileType: reader.u8()
+  }),
+  [TILE_EXTRA_TYPE.HEART_MONITOR]: (reader) => ({
+    userId: reader.u32(),
+    name: reader.string16()
+  }),
+  [TILE_EXTRA_TYPE.BUNNY_EGG]: (reader) => ({
+    eggsPlaced: reader.u32()
+  }),
+  [TILE_EXTRA_TYPE.GAME_PACK]: (reader) => ({
+    team: reader.u8()
+  }),
+  [TILE_EXTRA_TYPE.GAME_GENERATOR]: () => ({}),
+  [TILE_EXTRA_TYPE.XENONITE]: (reader) => ({
+    flags: reader.u8(),
+    unknown: reader.u32()
+  }),
+  [TILE_EXTRA_TYPE.DISPLAY_BLOCK]: (reader) => ({
+    itemId: reader.u32()
+  }),
+  [TILE_EXTRA_TYPE.VENDING_MACHINE]: (reader) => ({
+    itemId: reader.u32(),
+    price: reader.i32()
+  })
+};
+
+function readMessageBoxExtra(reader) {
+  return {
+    unknown1: reader.string16(),
+    unknown2: reader.string16(),
+    unknown3: reader.string16(),
+    unknown4: reader.u8()
+  };
+}
+
+function readTile(reader, x, y) {
+  const tile = {
+    x,
+    y,
+    foreground: reader.u16(),
+    background: reader.u16(),
+    parent: reader.u16(),
+    flags: reader.u16(),
+    lockIndex: -1,
+    extra: null
+  };
+
+  if (tile.flags & TILE_FLAG.LOCKED) {
+    tile.lockIndex = reader.u16();
+  }
+
+  if (tile.flags & TILE_FLAG.HAS_EXTRA_DATA) {
+    const type = reader.u8();
+    const readExtra = TILE_EXTRA_READERS[type];
+    if (!readExtra) {
+      throw new TypeError(`Unsupported tile extra type ${type} at ${x},${y}`);
+    }
+
+    tile.extra = { type, ...readExtra(reader) };
+  }
+
+  return tile;
+}
+
+function readDroppedItem(reader) {
+  return {
+    itemId: reader.u16(),
+    x: reader.f32(),
+    y: reader.f32(),
+    amount: reader.u8(),
+    flags: reader.u8(),
+    uid: reader.u32()
+  };
+}
+
+function parseWorldMap(extraBuffer) {
+  if (!Buffer.isBuffer(extraBuffer) || extraBuffer.length < 8) {
+    return null;
+  }
+
+  const reader = new BinaryReader(extraBuffer);
+  const world = {
+    version: 0,
+    flags: 0,
+    name: "",
+    width: 0,
+    height: 0,
+    tiles: [],
+    dropped: {
+      lastUid: 0,
+      items: []
+    },
+    complete: false,
+    error: ""
+  };
+
+  try {
+    world.version = reader.u16();
+    world.flags = reader.u32();
+    world.name = reader.string16();
+    world.width = reader.u32();
+    world.height = reader.u32();
+    const tileCount = reader.u32();
+    reader.skip(5);
+
+    for (let i = 0; i < tileCount; i += 1) {
+      const x = world.width > 0 ? i % world.width : 0;
+      const y = world.width > 0 ? Math.floor(i / world.width) : 0;
+      world.tiles.push(readTile(reader, x, y));
+    }
+
+    reader.skip(12);
+    const droppedCount = reader.u32();
+    world.dropped.lastUid = reader.u32();
+    for (let i = 0; i < droppedCount; i += 1) {
+      world.dropped.items.push(readDroppedItem(reader));
+    }
+
+    world.complete = true;
+  } catch (error) {
+    // Keep whatever decoded cleanly; a partial map is still useful for tile lookups.
+    world.error = error.message;
+  }
+
+  return world;
+}
+
+function parseTileUpdate(extraBuffer, x, y) {
+  if (!Buffer.isBuffer(extraBuffer) || extraBuffer.length < 8) {
+    return null;
+  }
+
+  try {
+    return readTile(new BinaryReader(extraBuffer), x, y);
+  } catch {
+    return null;
+  }
+}
+
+function parseTileUpdateMultiple(extraBuffer) {
+  if (!Buffer.isBuffer(extraBuffer) || extraBuffer.length === 0) {
+    return [];
+  }
+
+  const reader = new BinaryReader(extraBuffer);
+  const tiles = [];
+  try {
+    while (reader.remaining() >= 8) {
+      const x = reader.i32();
+      const y = reader.i32();
+      if (x === -1 || y === -1) {
+        break;
+      }
+
+      tiles.push(readTile(reader, x, y));
+    }
+  } catch {
+    // Return the updates that decoded before the unreadable entry.
+  }
+
+  return tiles;
+}
+
+module.exports = {
+  TILE_FLAG,
+  TILE_EXTRA_TYPE,
+  parseWorldMap,
+  parseTileUpdate,
+  parseTileUpdateMultiple
+};
@@ -1,41 +1,288 @@
 "use strict";
 
+const { TANK_FLAG } = require("./packet");
+
+const FIST_ITEM_ID = 18;
+const TILE_SIZE = 32;
+// Player positions are the top-left of a 20x30 hitbox; tiles are taken from its center.
+const PLAYER_CENTER_X = 10;
+const PLAYER_CENTER_Y = 15;
+
+function setPlayerPosition(player, posX, posY) {
+  player.posX = posX;
+  player.posY = posY;
+  player.tileX = Math.floor((posX + PLAYER_CENTER_X) / TILE_SIZE);
+  player.tileY = Math.floor((posY + PLAYER_CENTER_Y) / TILE_SIZE);
+}
+
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  return typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b);
+}
+
 class WorldState {
-  constructor() {
+  constructor(options = {}) {
     this.players = new Map();
     this.localNetId = -1;
+    this.items = options.items ?? null;
+    this.resetMap();
+  }
+
+  resetMap() {
+    this.name = "";
+    this.width = 0;
+    this.height = 0;
+    this.tiles = [];
+    this.dropped = new Map();
+    this.lastDroppedUid = 0;
   }
 
   clear() {
     this.players.clear();
     this.localNetId = -1;
+    this.resetMap();
   }
 
+  // Returns the new player model, or null for an invalid spawn.
   onSpawn(payload) {
     if (!payload || typeof payload.netId !== "number" || payload.netId < 0) {
-      return;
+      return null;
     }
 
-    this.players.set(payload.netId, payload);
+    // skinColor and clothing stay null until the server sends OnChangeSkin/OnSetClothing.
+    const player = {
+      ...payload,
+      skinColor: null,
+      clothing: null,
+      countryState: "",
+      speedX: 0,
+      speedY: 0,
+      state: 0,
+      facingLeft: false
+    };
+    setPlayerPosition(player, Number(payload.posX) || 0, Number(payload.posY) || 0);
+    this.players.set(payload.netId, player);
     if (payload.type === "local") {
       this.localNetId = payload.netId;
     }
+
+    return player;
   }
 
+  // Returns the removed player, or null if it was not tracked.
   onRemove(netId) {
     if (typeof netId !== "number" || netId < 0) {
-      return;
+      return null;
     }
 
+    const player = this.players.get(netId) ?? null;
     this.players.delete(netId);
     if (this.localNetId === netId) {
       this.localNetId = -1;
     }
+
+    return player;
+  }
+
+  // Applies attribute updates to a spawned player. Returns { field: { from, to } } for the
+  // values that actually changed, or null when nothing did.
+  updatePlayer(netId, fields) {
+    const player = this.players.get(netId);
+    if (!player || !fields) {
+      return null;
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (isSameValue(player[key], value)) {
+        continue;
+      }
+
+      changes[key] = { from: player[key], to: value };
+      player[key] = value;
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
   }
 
   getLocalNetId() {
     return this.localNetId;
   }
+
+  // STATE packet for a spawned player. Returns the updated player, or null if unknown.
+  onState(netId, parsed) {
+    const player = this.players.get(netId);
+    if (!player || !parsed) {
+      return null;
+    }
+
+    setPlayerPosition(player, parsed.posX, parsed.posY);
+    player.speedX = parsed.speedX;
+    player.speedY = parsed.speedY;
+    player.state = parsed.state;
+    player.facingLeft = (parsed.state & TANK_FLAG.FACING_LEFT) !== 0;
+    return player;
+  }
+
+  // OnSetPos teleports keep the rest of the movement state.
+  onSetPos(netId, posX, posY) {
+    const player = this.players.get(netId);
+    if (!player) {
+      return null;
+    }
+
+    setPlayerPosition(player, Number(posX) || 0, Number(posY) || 0);
+    return player;
+  }
+
+  getPlayer(netId) {
+    return this.players.get(Number(netId)) ?? null;
+  }
+
+  getLocalPlayer() {
+    return this.getPlayer(this.localNetId);
+  }
+
+  getPlayers() {
+    return [...this.players.values()];
+  }
+
+  // Other players within `radius` tiles of tile (x, y), nearest first.
+  getPlayersNear(x, y, radius) {
+    return this.getPlayers()
+      .filter((player) => player.netId !== this.localNetId)
+      .map((player) => ({ player, distance: Math.hypot(player.tileX - x, player.tileY - y) }))
+      .filter((entry) => entry.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .map((entry) => entry.player);
+  }
+
+  loadMap(map) {
+    if (!map) {
+      return;
+    }
+
+    this.resetMap();
+    this.name = map.name;
+    this.width = map.width;
+    this.height = map.height;
+    this.tiles = map.tiles;
+    this.lastDroppedUid = map.dropped.lastUid;
+    for (const item of map.dropped.items) {
+      this.dropped.set(item.uid, item);
+    }
+  }
+
+  hasMap() {
+    return this.width > 0 && this.height > 0;
+  }
+
+  getWorldName() {
+    return this.name;
+  }
+
+  isInBounds(x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  getTile(x, y) {
+    if (!this.isInBounds(x, y)) {
+      return null;
+    }
+
+    return this.tiles[y * this.width + x] ?? null;
+  }
+
+  findTiles(itemId) {
+    const target = Number(itemId);
+    return this.tiles.filter((tile) => tile.foreground === target || tile.background === target);
+  }
+
+  formatItem(itemId) {
+    return this.items ? this.items.format(itemId) : String(itemId);
+  }
+
+  describeTile(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile) {
+      return "";
+    }
+
+    return `${x},${y} fg=${this.formatItem(tile.foreground)} bg=${this.formatItem(tile.background)}`;
+  }
+
+  onTileUpdate(tile) {
+    if (!tile || !this.isInBounds(tile.x, tile.y)) {
+      return;
+    }
+
+    this.tiles[tile.y * this.width + tile.x] = tile;
+  }
+
+  // Server-confirmed TILE_CHANGE_REQUEST: a fist means the block broke, anything else was placed.
+  onTileChange(x, y, itemId) {
+    const tile = this.getTile(x, y);
+    if (!tile) {
+      return;
+    }
+
+    if (itemId === FIST_ITEM_ID) {
+      if (tile.foreground !== 0) {
+        tile.foreground = 0;
+        tile.extra = null;
+      } else {
+        tile.background = 0;
+      }
+      return;
+    }
+
+    if (this.items?.isBackground(itemId)) {
+      tile.background = itemId;
+    } else {
+      tile.foreground = itemId;
+    }
+  }
+
+  // ITEM_CHANGE_OBJECT: netId -1 drops a new object, -3 updates an object's amount,
+  // and a player netId picks the object (uid in `info`) up.
+  onItemChangeObject(parsed) {
+    if (!parsed) {
+      return null;
+    }
+
+    if (parsed.netId === -1) {
+      this.lastDroppedUid += 1;
+      const item = {
+        itemId: parsed.info,
+        x: parsed.posX,
+        y: parsed.posY,
+        amount: Math.trunc(parsed.floatVar) & 0xff,
+        flags: 0,
+        uid: this.lastDroppedUid
+      };
+      this.dropped.set(item.uid, item);
+      return item;
+    }
+
+    if (parsed.netId === -3) {
+      const item = this.dropped.get(parsed.info);
+      if (item) {
+        item.amount = Math.trunc(parsed.floatVar) & 0xff;
+      }
+      return item ?? null;
+    }
+
+    const item = this.dropped.get(parsed.info) ?? null;
+    this.dropped.delete(parsed.info);
+    return item;
+  }
+
+  getDroppedItems() {
+    return [...this.dropped.values()];
+  }
 }
 
 module.exports = {